@@ -0,0 +1,154 @@
+// ===================================
+// Adaptive Manager (Elo Rating)
+// ===================================
+
+class AdaptiveManager {
+    constructor() {
+        this.initialRating = 1500;
+        // Starting rating of questions not answered yet, by difficulty
+        this.difficultyRatings = {
+            beginner: 1300,
+            intermediate: 1500,
+            advanced: 1700
+        };
+        // Rating change per answer; the user rating moves faster
+        // for the first answers so a new player is placed quickly
+        this.userK = 32;
+        this.provisionalUserK = 64;
+        this.provisionalAnswers = 20;
+        this.questionK = 16;
+        // Chance of a correct answer the next question is chosen for
+        this.targetSuccessRate = 0.7;
+        this.candidateCount = 5;
+        this.sessionLength = 10;
+    }
+
+    /**
+     * Get rating data, creating it for older saves
+     * @param {Object} userData - User data
+     * @returns {Object} Rating data
+     */
+    getRatingData(userData) {
+        if (!userData.ratings) {
+            userData.ratings = {
+                user: { rating: this.initialRating, count: 0 },
+                questions: {}
+            };
+        }
+        return userData.ratings;
+    }
+
+    /**
+     * Get the user's current rating
+     * @returns {Object} { rating, count }
+     */
+    getUserRating() {
+        const userData = storage.loadUserData();
+        if (!userData) return { rating: this.initialRating, count: 0 };
+        return this.getRatingData(userData).user;
+    }
+
+    /**
+     * Get a question's rating; unrated questions start from their difficulty
+     * @param {Object} question - Question data
+     * @param {Object} ratings - Rating data
+     * @returns {number} Question rating
+     */
+    getQuestionRating(question, ratings) {
+        const entry = ratings.questions[question.id];
+        if (entry) return entry.rating;
+        return this.difficultyRatings[question.difficulty] || this.initialRating;
+    }
+
+    /**
+     * Expected chance of a correct answer
+     * @param {number} userRating - User rating
+     * @param {number} questionRating - Question rating
+     * @returns {number} Probability between 0 and 1
+     */
+    expectedScore(userRating, questionRating) {
+        return 1 / (1 + Math.pow(10, (questionRating - userRating) / 400));
+    }
+
+    /**
+     * Update the user and question ratings after an answer
+     * @param {Object} question - Answered question
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @returns {Object|null} { before, after } user rating
+     */
+    recordAnswer(question, isCorrect) {
+        const userData = storage.loadUserData();
+        if (!userData) return null;
+
+        const ratings = this.getRatingData(userData);
+        const user = ratings.user;
+        const questionRating = this.getQuestionRating(question, ratings);
+        const questionEntry = ratings.questions[question.id] || { rating: questionRating, count: 0 };
+
+        const expected = this.expectedScore(user.rating, questionRating);
+        const delta = (isCorrect ? 1 : 0) - expected;
+        const userK = user.count < this.provisionalAnswers ? this.provisionalUserK : this.userK;
+        const before = user.rating;
+
+        user.rating = Math.round(user.rating + userK * delta);
+        user.count += 1;
+        questionEntry.rating = Math.round(questionEntry.rating - this.questionK * delta);
+        questionEntry.count += 1;
+        ratings.questions[question.id] = questionEntry;
+
+        storage.saveUserData(userData);
+
+        debug(`Rating ${before} -> ${user.rating} (${question.id}: ${questionEntry.rating})`);
+        return { before, after: user.rating };
+    }
+
+    /**
+     * Question rating at which the user is expected to succeed at the target rate
+     * @param {number} userRating - User rating
+     * @returns {number} Target question rating
+     */
+    getTargetRating(userRating) {
+        return userRating + 400 * Math.log10(1 / this.targetSuccessRate - 1);
+    }
+
+    /**
+     * Pick the next question for the user's rating.
+     * One of the few questions closest to the target rating is chosen at
+     * random so the same rating does not always give the same question.
+     * @param {Array} questions - All questions
+     * @param {Array<string>} excludeIds - Question IDs already asked
+     * @returns {Object|null} Next question
+     */
+    selectNextQuestion(questions, excludeIds = []) {
+        const userData = storage.loadUserData();
+        if (!userData) return null;
+
+        const ratings = this.getRatingData(userData);
+        const target = this.getTargetRating(ratings.user.rating);
+        const excluded = new Set(excludeIds);
+
+        const candidates = shuffleArray(questions.filter(q => !excluded.has(q.id)))
+            .map(question => ({
+                question,
+                distance: Math.abs(this.getQuestionRating(question, ratings) - target)
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.candidateCount);
+
+        if (candidates.length === 0) return null;
+        return candidates[Math.floor(Math.random() * candidates.length)].question;
+    }
+
+    /**
+     * Get the difficulty whose starting rating is closest to a rating
+     * @param {number} rating - Rating
+     * @returns {string} Difficulty ID
+     */
+    getRatingLevel(rating) {
+        return Object.entries(this.difficultyRatings)
+            .sort((a, b) => Math.abs(a[1] - rating) - Math.abs(b[1] - rating))[0][0];
+    }
+}
+
+// Create global instance
+const adaptive = new AdaptiveManager();
@@ -7,6 +7,30 @@ class App {
         this.figures = [];
         this.currentScreen = 'home-screen';
         this.userData = null;
+        this.calendarMonth = null;
+        this.editingProfileId = null;
+        this.selectedAvatar = null;
+        this.importFile = null;
+        this.pendingImport = null;
+        this.timerInterval = null;
+        this.encyclopediaView = 'grid';
+        this.displayedFigures = [];
+        // Timeline scale in pixels per year; null fits the whole range
+        this.timelineScale = null;
+        this.maxTimelineScale = 20;
+        // Node positions of the relation graph and the node being dragged
+        this.graphLayout = null;
+        this.graphDrag = null;
+        // Country code the encyclopedia is filtered by, and the world map SVG once loaded
+        this.countryFilter = null;
+        this.worldMap = null;
+        // Problems found in figure, question and badge data while loading
+        this.contentIssues = [];
+        // Figure and question open in the editor (null for a new one), and
+        // whether the editor saved anything since the content was loaded
+        this.editingFigureId = null;
+        this.editingQuestionId = null;
+        this.editorChanged = false;
     }
 
     /**
@@ -15,23 +39,92 @@ class App {
     async init() {
         debug('Initializing app...');
 
-        // Initialize user data
-        this.userData = storage.initializeUserData();
+        // Initialize storage and the active profile's data
+        await storage.initializeAdapter();
+        await profiles.initialize();
+        this.userData = storage.loadUserData();
+
+        // The language is a profile setting, so it applies once the profile is loaded;
+        // problems found while loading it are reported in Japanese
+        await i18n.setLanguage(storage.getSetting('language'));
+        i18n.translatePage();
+        this.applyMotionSetting();
 
-        // Load data
+        // Load data, then add the content packs enabled for this profile
         await this.loadFigures();
         await quiz.loadQuestions();
+        await contentPacks.initialize();
+        const packContent = await contentPacks.loadPacks(storage.getSetting('enabledPacks'));
 
-        // Setup event listeners
+        // Set aside entries with errors so one bad edit cannot break the quiz
+        const checked = contentValidator.validate({
+            figures: [...this.figures, ...packContent.figures],
+            questions: [...quiz.questions, ...packContent.questions]
+        });
+        this.figures = checked.figures;
+        quiz.setQuestions(checked.questions);
+        quiz.setFigures(this.figures);
+        quiz.addQuestions(questionGenerator.generate(this.figures));
+        const badgeIssues = await gamification.loadBadges();
+        gamification.setFigures(this.figures);
+        relations.setFigures(this.figures);
+        this.contentIssues = [...checked.issues, ...badgeIssues];
+
+        // Setup event listeners and routes
         this.setupEventListeners();
+        this.setupRoutes();
 
-        // Update UI
+        // Open the screen in the URL; on the home screen, let the player choose who is playing
         this.updateUserStatus();
-        this.showScreen('home-screen');
+        this.showContentIssues();
+        router.start();
+        if (router.currentPath === '/') {
+            await this.showProfileModal();
+        }
+
+        // Report repaired or rejected save data
+        this.showLoadReport(storage.loadReport);
+
+        // Cache the app for offline use
+        await this.registerServiceWorker();
 
         debug('App initialized');
     }
 
+    /**
+     * Register the service worker that caches the app and its data for offline use
+     * @returns {Promise<void>}
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'data-updated') {
+                this.onDataUpdated();
+            }
+        });
+
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            debug('Service worker registered', registration.scope);
+        } catch (error) {
+            // Not available on file:// pages; the app still works online
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    /**
+     * Offer to reload when the service worker cached newer figure or question data.
+     * During a quiz the new data is used from the next launch instead.
+     */
+    onDataUpdated() {
+        if (this.currentScreen !== 'home-screen') return;
+
+        if (confirm(t('偉人・問題データが更新されました。再読み込みして反映しますか？'))) {
+            window.location.reload();
+        }
+    }
+
     /**
      * Load figures from JSON file
      */
@@ -39,11 +132,11 @@ class App {
         try {
             const response = await fetch('data/figures.json');
             const data = await response.json();
-            this.figures = data.figures;
+            this.figures = data.figures.map(figure => i18n.localize(figure));
             debug('Figures loaded', this.figures.length);
         } catch (error) {
             console.error('Error loading figures:', error);
-            alert('偉人データの読み込みに失敗しました。');
+            alert(t('偉人データの読み込みに失敗しました。'));
         }
     }
 
@@ -52,10 +145,26 @@ class App {
      */
     setupEventListeners() {
         // Home screen buttons
+        document.getElementById('btn-profile').addEventListener('click', () => {
+            this.showProfileModal();
+        });
+
         document.getElementById('btn-start-quiz').addEventListener('click', () => {
             this.showDifficultyModal();
         });
 
+        document.getElementById('btn-custom-quiz').addEventListener('click', () => {
+            this.showCustomQuiz();
+        });
+
+        document.getElementById('btn-content-warning-details').addEventListener('click', () => {
+            this.showContentIssueDetails();
+        });
+
+        document.getElementById('btn-review').addEventListener('click', () => {
+            this.startReview();
+        });
+
         document.getElementById('btn-encyclopedia').addEventListener('click', () => {
             this.showEncyclopedia();
         });
@@ -68,6 +177,18 @@ class App {
             this.startDailyChallenge();
         });
 
+        document.getElementById('btn-resume-quiz').addEventListener('click', () => {
+            this.resumeQuiz();
+        });
+
+        document.getElementById('btn-discard-quiz').addEventListener('click', () => {
+            this.discardQuiz();
+        });
+
+        document.getElementById('btn-settings').addEventListener('click', () => {
+            this.showSettings();
+        });
+
         // Difficulty modal
         document.querySelectorAll('.btn-difficulty').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -80,9 +201,23 @@ class App {
             this.closeDifficultyModal();
         });
 
+        document.getElementById('timed-mode-checkbox').addEventListener('change', (e) => {
+            storage.updateSetting('timedMode', e.target.checked);
+            document.getElementById('time-limit-select').disabled = !e.target.checked;
+        });
+
+        document.getElementById('time-limit-select').addEventListener('change', (e) => {
+            storage.updateSetting('timeLimit', Number(e.target.value));
+        });
+
         // Quiz screen
         document.getElementById('btn-back-from-quiz').addEventListener('click', () => {
-            if (confirm('クイズを中断しますか？')) {
+            const message = storage.getActiveSession()
+                ? t('クイズを中断しますか？\nホーム画面の「続きから」で再開できます。')
+                : t('クイズを中断しますか？');
+            if (confirm(message)) {
+                this.stopQuestionTimer();
+                this.updateUserStatus();
                 this.showScreen('home-screen');
             }
         });
@@ -91,15 +226,61 @@ class App {
             this.nextQuestion();
         });
 
+        document.addEventListener('keydown', (e) => {
+            this.handleQuizKeydown(e);
+        });
+
         // Results modal
         document.getElementById('btn-retry-quiz').addEventListener('click', () => {
             this.closeResultsModal();
-            this.showDifficultyModal();
+            if (quiz.mode === 'custom') {
+                // Same options are still in the custom quiz form
+                this.startCustomQuiz();
+            } else {
+                this.showDifficultyModal();
+            }
         });
 
         document.getElementById('btn-back-home').addEventListener('click', () => {
-            this.closeResultsModal();
-            this.showScreen('home-screen');
+            this.leaveResults();
+        });
+
+        // Profile modal
+        document.getElementById('btn-close-profile').addEventListener('click', () => {
+            this.closeProfileModal();
+        });
+
+        document.getElementById('btn-add-profile').addEventListener('click', () => {
+            this.showProfileForm();
+        });
+
+        document.getElementById('btn-cancel-profile').addEventListener('click', () => {
+            this.hideProfileForm();
+        });
+
+        document.getElementById('profile-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfileForm();
+        });
+
+        document.getElementById('profile-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-profile-id]');
+            if (!button) return;
+
+            const profileId = button.dataset.profileId;
+            const action = button.dataset.action;
+            if (action === 'edit') {
+                this.showProfileForm(profileId);
+            } else if (action === 'delete') {
+                this.deleteProfile(profileId);
+            } else {
+                this.selectProfile(profileId);
+            }
+        });
+
+        // Report modal
+        document.getElementById('btn-close-report').addEventListener('click', () => {
+            this.closeReportModal();
         });
 
         // Encyclopedia screen
@@ -115,448 +296,3121 @@ class App {
             this.searchFigures(e.target.value);
         }, 300));
 
-        document.getElementById('btn-close-figure-detail').addEventListener('click', () => {
-            this.closeFigureDetailModal();
+        document.querySelectorAll('.view-toggle-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.setEncyclopediaView(e.currentTarget.dataset.view);
+            });
         });
 
-        // Statistics screen
-        document.getElementById('btn-back-from-statistics').addEventListener('click', () => {
-            this.showScreen('home-screen');
+        document.getElementById('btn-timeline-zoom-in').addEventListener('click', () => {
+            this.zoomTimeline(2);
         });
-    }
 
-    /**
-     * Update user status display
-     */
-    updateUserStatus() {
-        this.userData = storage.loadUserData();
-        if (!this.userData) return;
+        document.getElementById('btn-timeline-zoom-out').addEventListener('click', () => {
+            this.zoomTimeline(0.5);
+        });
 
-        // Update level, points, streak
-        document.getElementById('user-level').textContent = this.userData.level;
-        document.getElementById('user-points').textContent = this.userData.totalPoints;
-        document.getElementById('user-streak').textContent = this.userData.streak;
+        document.getElementById('btn-timeline-fit').addEventListener('click', () => {
+            this.timelineScale = null;
+            this.displayTimeline(this.displayedFigures);
+        });
 
-        // Update experience bar
-        const currentExp = this.userData.experience;
-        const requiredExp = gamification.calculateRequiredExp(this.userData.level);
-        const expPercentage = calculatePercentage(currentExp, requiredExp);
+        const timelineContainer = document.getElementById('timeline-container');
+        timelineContainer.addEventListener('click', (e) => {
+            this.openFigureItem(e.target);
+        });
 
-        document.getElementById('exp-fill').style.width = `${expPercentage}%`;
-        document.getElementById('current-exp').textContent = currentExp;
-        document.getElementById('required-exp').textContent = requiredExp;
-    }
+        timelineContainer.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.openFigureItem(e.target);
+            }
+        });
 
-    /**
-     * Show a screen
-     * @param {string} screenId - Screen ID to show
-     */
-    showScreen(screenId) {
-        // Hide all screens
-        document.querySelectorAll('.screen').forEach(screen => {
-            screen.classList.remove('active');
+        const graphContainer = document.getElementById('graph-container');
+        graphContainer.addEventListener('pointerdown', (e) => {
+            this.startGraphDrag(e);
         });
 
-        // Show target screen
-        const targetScreen = document.getElementById(screenId);
-        if (targetScreen) {
-            targetScreen.classList.add('active');
-            this.currentScreen = screenId;
-            debug(`Screen changed to: ${screenId}`);
-        }
-    }
+        graphContainer.addEventListener('pointermove', (e) => {
+            this.moveGraphDrag(e);
+        });
 
-    /**
-     * Show difficulty selection modal
-     */
-    showDifficultyModal() {
-        const modal = document.getElementById('difficulty-modal');
-        modal.classList.add('active');
-    }
+        graphContainer.addEventListener('pointerup', (e) => {
+            this.endGraphDrag(e);
+        });
 
-    /**
-     * Close difficulty modal
-     */
-    closeDifficultyModal() {
-        const modal = document.getElementById('difficulty-modal');
-        modal.classList.remove('active');
-    }
+        graphContainer.addEventListener('pointercancel', () => {
+            this.graphDrag = null;
+        });
 
-    /**
-     * Start quiz with selected difficulty
-     * @param {string} difficulty - Difficulty level
-     */
-    startQuiz(difficulty) {
-        this.closeDifficultyModal();
+        graphContainer.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.openFigureItem(e.target);
+            }
+        });
 
-        if (quiz.startQuiz(difficulty)) {
-            this.showScreen('quiz-screen');
-            this.displayQuestion();
-        }
-    }
+        // Highlight the relations of the node under the pointer or in focus
+        graphContainer.addEventListener('pointerover', (e) => {
+            const node = e.target.closest('.graph-node');
+            if (node) this.setGraphFocus(node.dataset.figureId);
+        });
 
-    /**
-     * Display current question
-     */
-    displayQuestion() {
-        const question = quiz.getCurrentQuestion();
-        if (!question) return;
+        graphContainer.addEventListener('pointerout', (e) => {
+            if (!this.graphDrag && e.target.closest('.graph-node')) this.setGraphFocus(null);
+        });
 
-        // Update progress
-        const progress = quiz.getProgress();
-        document.getElementById('quiz-progress-fill').style.width = `${progress}%`;
-        document.getElementById('current-question').textContent = quiz.currentQuestionIndex + 1;
-        document.getElementById('total-questions').textContent = quiz.currentQuestions.length;
+        graphContainer.addEventListener('focusin', (e) => {
+            const node = e.target.closest('.graph-node');
+            if (node) this.setGraphFocus(node.dataset.figureId);
+        });
 
-        // Update score
-        document.getElementById('quiz-score').textContent = quiz.score;
+        graphContainer.addEventListener('focusout', () => {
+            this.setGraphFocus(null);
+        });
 
-        // Display question
-        document.getElementById('question-text').textContent = question.question;
+        window.addEventListener('resize', debounce(() => {
+            if (this.currentScreen !== 'encyclopedia-screen') return;
 
-        // Display options
-        const optionsContainer = document.getElementById('options-container');
-        optionsContainer.innerHTML = '';
+            if (this.encyclopediaView === 'timeline' && this.timelineScale === null) {
+                this.displayTimeline(this.displayedFigures);
+            } else if (this.encyclopediaView === 'graph' && this.graphLayout &&
+                this.graphLayout.width !== this.getGraphWidth()) {
+                this.displayGraph(this.displayedFigures);
+            }
+        }, 300));
 
-        question.options.forEach((option, index) => {
-            const button = document.createElement('button');
-            button.className = 'option-btn';
-            button.textContent = option;
-            button.addEventListener('click', () => this.selectAnswer(index));
-            optionsContainer.appendChild(button);
+        const mapContainer = document.getElementById('world-map-container');
+        mapContainer.addEventListener('click', (e) => {
+            this.openCountry(e.target);
         });
 
-        // Hide feedback section
-        hideElement(document.getElementById('feedback-section'));
-    }
+        mapContainer.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.openCountry(e.target);
+            }
+        });
 
-    /**
-     * Handle answer selection
-     * @param {number} optionIndex - Selected option index
-     */
-    async selectAnswer(optionIndex) {
-        const result = quiz.checkAnswer(optionIndex);
-        if (!result) return;
+        document.getElementById('country-list').addEventListener('click', (e) => {
+            this.openCountry(e.target);
+        });
 
-        // Disable all option buttons
-        document.querySelectorAll('.option-btn').forEach(btn => {
-            btn.disabled = true;
+        document.getElementById('btn-country-quiz').addEventListener('click', () => {
+            this.startCountryQuiz(this.countryFilter);
         });
 
-        // Highlight correct and incorrect answers
-        const optionButtons = document.querySelectorAll('.option-btn');
-        optionButtons[result.correctAnswer].classList.add('correct');
+        document.getElementById('btn-clear-country-filter').addEventListener('click', () => {
+            this.setCountryFilter(null);
+            this.displayFigures();
+        });
 
-        if (!result.isCorrect) {
-            optionButtons[optionIndex].classList.add('incorrect');
-        }
+        document.getElementById('btn-close-figure-detail').addEventListener('click', () => {
+            this.leaveFigureDetail();
+        });
 
-        // Show feedback
-        await delay(500);
-        this.showFeedback(result);
-    }
+        document.getElementById('detail-related').addEventListener('click', (e) => {
+            this.openFigureItem(e.target);
+        });
 
-    /**
-     * Show feedback for answer
-     * @param {Object} result - Answer result
-     */
-    showFeedback(result) {
-        const feedbackSection = document.getElementById('feedback-section');
-        const feedbackResult = document.getElementById('feedback-result');
-        const feedbackExplanation = document.getElementById('feedback-explanation');
+        // Statistics screen
+        document.getElementById('btn-back-from-statistics').addEventListener('click', () => {
+            this.showScreen('home-screen');
+        });
 
-        feedbackResult.textContent = result.isCorrect ? '✓ 正解！' : '✗ 不正解';
-        feedbackResult.className = `feedback-result ${result.isCorrect ? 'correct' : 'incorrect'}`;
-        feedbackExplanation.textContent = result.explanation;
+        document.getElementById('trend-category-filter').addEventListener('change', (e) => {
+            this.displayAccuracyTrend(e.target.value);
+        });
 
-        showElement(feedbackSection, 'animate-slide-up');
-    }
+        document.getElementById('btn-calendar-prev').addEventListener('click', () => {
+            this.changeCalendarMonth(-1);
+        });
 
-    /**
-     * Move to next question
-     */
-    nextQuestion() {
-        if (quiz.nextQuestion()) {
-            this.displayQuestion();
-        } else {
-            this.showResults();
-        }
-    }
+        document.getElementById('btn-calendar-next').addEventListener('click', () => {
+            this.changeCalendarMonth(1);
+        });
 
-    /**
-     * Show quiz results
-     */
-    showResults() {
-        const results = quiz.getResults();
+        // Custom quiz screen
+        document.getElementById('btn-back-from-custom-quiz').addEventListener('click', () => {
+            this.showScreen('home-screen');
+        });
 
-        // Update results display
-        document.getElementById('result-correct').textContent = results.correctAnswers;
-        document.getElementById('result-total').textContent = results.totalQuestions;
-        document.getElementById('result-points').textContent = results.score;
+        ['custom-category-list', 'custom-country-list'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.displayCustomFigures(this.getCustomQuizOptions().figureIds);
+                this.updateCustomQuizSummary();
+            });
+        });
 
-        // Show level up notification if applicable
-        const levelUpNotification = document.getElementById('level-up-notification');
-        if (results.levelUpInfo.leveledUp) {
-            document.getElementById('new-level').textContent = results.levelUpInfo.newLevel;
-            showElement(levelUpNotification);
-        } else {
-            hideElement(levelUpNotification);
-        }
+        ['custom-figure-list', 'custom-difficulty-list', 'custom-question-count'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateCustomQuizSummary();
+            });
+        });
 
-        // Show badge notifications if applicable
-        const badgeNotification = document.getElementById('badge-notification');
-        const newBadgesContainer = document.getElementById('new-badges-container');
+        document.getElementById('custom-preset-select').addEventListener('change', (e) => {
+            this.loadQuizPreset(e.target.value);
+        });
 
-        if (results.newBadges.length > 0) {
-            newBadgesContainer.innerHTML = results.newBadges.map(badge =>
-                `<div class="badge-item">
-                    <div class="badge-icon">${badge.icon}</div>
-                    <div class="badge-name">${badge.name}</div>
-                </div>`
-            ).join('');
-            showElement(badgeNotification);
-        } else {
-            hideElement(badgeNotification);
-        }
+        document.getElementById('btn-delete-preset').addEventListener('click', () => {
+            this.deleteQuizPreset();
+        });
 
-        // Show wrong answers if any
-        const wrongAnswersSection = document.getElementById('wrong-answers-section');
-        const wrongAnswersList = document.getElementById('wrong-answers-list');
+        document.getElementById('btn-save-preset').addEventListener('click', () => {
+            this.saveQuizPreset();
+        });
 
-        if (results.wrongAnswers.length > 0) {
-            wrongAnswersList.innerHTML = results.wrongAnswers.map(wa =>
-                `<div class="wrong-answer-item">
-                    <div class="question">${wa.question}</div>
-                    <div class="answer">正解: ${wa.correctAnswer}</div>
-                </div>`
-            ).join('');
-            showElement(wrongAnswersSection);
-        } else {
-            hideElement(wrongAnswersSection);
-        }
+        document.getElementById('btn-start-custom-quiz').addEventListener('click', () => {
+            this.startCustomQuiz();
+        });
 
-        // Show results modal
-        const modal = document.getElementById('results-modal');
-        modal.classList.add('active');
+        // Settings screen
+        document.getElementById('btn-back-from-settings').addEventListener('click', () => {
+            this.showScreen('home-screen');
+        });
+
+        document.getElementById('mastery-accuracy-select').addEventListener('change', (e) => {
+            storage.updateSetting('masteryMinAccuracy', Number(e.target.value));
+        });
+
+        document.getElementById('language-select').addEventListener('change', (e) => {
+            this.changeLanguage(e.target.value);
+        });
+
+        document.getElementById('reduced-motion-checkbox').addEventListener('change', (e) => {
+            storage.updateSetting('reducedMotion', e.target.checked);
+            this.applyMotionSetting();
+        });
+
+        document.getElementById('pack-list').addEventListener('change', (e) => {
+            if (e.target.matches('.pack-checkbox')) {
+                this.setPackEnabled(e.target.value, e.target.checked);
+            }
+        });
+
+        document.getElementById('pack-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.btn-remove-pack');
+            if (button) {
+                this.removeContentPack(button.dataset.packId);
+            }
+        });
+
+        document.getElementById('btn-select-pack-file').addEventListener('click', () => {
+            document.getElementById('pack-file-input').click();
+        });
+
+        document.getElementById('pack-file-input').addEventListener('change', (e) => {
+            this.importContentPack(e.target.files[0]);
+        });
+
+        document.getElementById('btn-open-editor').addEventListener('click', () => {
+            this.showEditor();
+        });
+
+        document.getElementById('btn-export-data').addEventListener('click', () => {
+            this.exportData();
+        });
+
+        document.getElementById('btn-select-import-file').addEventListener('click', () => {
+            document.getElementById('import-file-input').click();
+        });
+
+        document.getElementById('import-file-input').addEventListener('change', (e) => {
+            this.loadImportFile(e.target.files[0]);
+        });
+
+        document.querySelectorAll('input[name="import-mode"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.previewImport();
+            });
+        });
+
+        document.getElementById('btn-apply-import').addEventListener('click', () => {
+            this.applyImport();
+        });
+
+        document.getElementById('btn-cancel-import').addEventListener('click', () => {
+            this.cancelImport();
+        });
+
+        // Editor screen
+        document.getElementById('btn-back-from-editor').addEventListener('click', () => {
+            this.showSettings();
+        });
+
+        document.getElementById('editor-pack-checkbox').addEventListener('change', (e) => {
+            this.setPackEnabled(EDITOR_PACK_ID, e.target.checked);
+        });
+
+        document.getElementById('btn-editor-reload').addEventListener('click', () => {
+            window.location.reload();
+        });
+
+        document.getElementById('btn-export-editor-pack').addEventListener('click', () => {
+            this.exportEditorPack();
+        });
+
+        document.getElementById('btn-add-editor-figure').addEventListener('click', () => {
+            this.editFigure(null);
+        });
+
+        document.getElementById('btn-add-editor-question').addEventListener('click', () => {
+            this.editQuestion(null);
+        });
+
+        document.getElementById('editor-figure-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.btn-editor-action');
+            if (!button) return;
+            if (button.dataset.action === 'edit') {
+                this.editFigure(button.dataset.id);
+            } else {
+                this.deleteEditorEntry('figures', button.dataset.id);
+            }
+        });
+
+        document.getElementById('editor-question-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.btn-editor-action');
+            if (!button) return;
+            if (button.dataset.action === 'edit') {
+                this.editQuestion(button.dataset.id);
+            } else {
+                this.deleteEditorEntry('questions', button.dataset.id);
+            }
+        });
+
+        document.getElementById('editor-figure-form').addEventListener('input', () => {
+            this.updateFigurePreview();
+        });
+
+        document.getElementById('editor-figure-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEditorFigure();
+        });
+
+        document.getElementById('btn-cancel-editor-figure').addEventListener('click', () => {
+            this.closeEditorForms();
+        });
+
+        document.getElementById('editor-question-form').addEventListener('input', (e) => {
+            if (e.target.name === 'type') {
+                this.updateQuestionFields();
+            } else if (e.target.name === 'options') {
+                this.updateCorrectOptions();
+            }
+            this.updateQuestionPreview();
+        });
+
+        document.getElementById('editor-question-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEditorQuestion();
+        });
+
+        document.getElementById('btn-cancel-editor-question').addEventListener('click', () => {
+            this.closeEditorForms();
+        });
+    }
+
+    /**
+     * Register URL routes for screens and the figure detail modal
+     */
+    setupRoutes() {
+        const route = (pattern, handler) => {
+            router.add(pattern, params => {
+                this.closeRouteViews();
+                handler(params);
+            });
+        };
+
+        route('/', () => {
+            this.updateUserStatus();
+            this.showScreen('home-screen');
+        });
+        route('/encyclopedia', () => this.openEncyclopediaRoute());
+        route('/encyclopedia/:figureId', params => this.openFigureRoute(params.figureId));
+        route('/statistics', () => this.showStatistics());
+        route('/settings', () => this.showSettings());
+        route('/custom', () => this.showCustomQuiz());
+        route('/editor', () => this.showEditor());
+        route('/quiz/:type', params => this.openQuizRoute(params.type));
+    }
+
+    /**
+     * Stop the quiz timer and close modals that belong to a route,
+     * before another route is shown
+     */
+    closeRouteViews() {
+        this.stopQuestionTimer();
+        this.closeDifficultyModal();
+        this.closeResultsModal();
+        this.closeFigureDetailModal();
+    }
+
+    /**
+     * Get the URL path of a screen
+     * @param {string} screenId - Screen ID
+     * @returns {string} Path
+     */
+    getScreenPath(screenId) {
+        if (screenId === 'quiz-screen') {
+            return `/quiz/${this.getQuizType(quiz)}`;
+        }
+
+        const paths = {
+            'encyclopedia-screen': '/encyclopedia',
+            'statistics-screen': '/statistics',
+            'settings-screen': '/settings',
+            'custom-quiz-screen': '/custom',
+            'editor-screen': '/editor'
+        };
+        return paths[screenId] || '/';
+    }
+
+    /**
+     * Get the quiz type used in quiz URLs: the difficulty for normal quizzes, otherwise the mode
+     * @param {Object} session - Quiz manager or saved session
+     * @returns {string} Quiz type
+     */
+    getQuizType(session) {
+        return session.mode === 'normal' ? session.difficulty : session.mode;
+    }
+
+    /**
+     * Show the encyclopedia, keeping its filters when it is already open
+     * (e.g. when going back from a figure's details)
+     */
+    openEncyclopediaRoute() {
+        if (this.currentScreen === 'encyclopedia-screen') return;
+        this.showEncyclopedia();
+    }
+
+    /**
+     * Open the encyclopedia with a figure's details, e.g. from a shared link.
+     * Linked figures are shown even if they are not unlocked yet.
+     * @param {string} figureId - Figure ID
+     */
+    openFigureRoute(figureId) {
+        this.openEncyclopediaRoute();
+
+        const figure = this.figures.find(f => f.id === figureId);
+        if (!figure) {
+            alert(t('指定された偉人が見つかりません。'));
+            return;
+        }
+        this.showFigureDetail(figure);
+    }
+
+    /**
+     * Resume the saved session in a URL, so reloading the page during a quiz
+     * continues it. A quiz is never started from a URL: going back to a
+     * finished quiz or opening a shared link shows the home screen, where a
+     * saved session of another type is still offered.
+     * @param {string} type - Quiz type (difficulty, 'adaptive', 'review', 'daily' or 'custom')
+     */
+    openQuizRoute(type) {
+        const session = storage.getActiveSession();
+        if (session && this.getQuizType(session) === type) {
+            this.resumeQuiz();
+            if (this.currentScreen === 'quiz-screen') return;
+        } else if (type === 'custom') {
+            // Custom quizzes need their options, so show the builder
+            this.showCustomQuiz();
+            return;
+        }
+
+        this.updateUserStatus();
+        this.showScreen('home-screen');
+    }
+
+    /**
+     * Update user status display
+     */
+    updateUserStatus() {
+        this.userData = storage.loadUserData();
+        if (!this.userData) return;
+
+        // Update active profile
+        const profile = profiles.getActiveProfile();
+        if (profile) {
+            document.getElementById('profile-avatar').textContent = profile.avatar;
+            document.getElementById('profile-name').textContent = profile.name;
+        }
+
+        // Update level, points, streak
+        document.getElementById('user-level').textContent = this.userData.level;
+        document.getElementById('user-points').textContent = this.userData.totalPoints;
+        document.getElementById('user-streak').textContent = this.userData.streak;
+
+        // Update experience bar
+        const currentExp = this.userData.experience;
+        const requiredExp = gamification.calculateRequiredExp(this.userData.level);
+        const expPercentage = calculatePercentage(currentExp, requiredExp);
+
+        document.getElementById('exp-fill').style.width = `${expPercentage}%`;
+        document.getElementById('current-exp').textContent = currentExp;
+        document.getElementById('required-exp').textContent = requiredExp;
+
+        // Update reviews due today
+        document.getElementById('review-due-count').textContent = review.getDueCount(quiz.questions);
+
+        // Update daily challenge banner
+        this.updateDailyChallengeBanner();
+
+        // Offer to resume an unfinished quiz
+        this.updateResumeBanner();
+    }
+
+    /**
+     * Show the unfinished quiz, if any, with its progress
+     */
+    updateResumeBanner() {
+        const section = document.getElementById('resume-section');
+        const session = storage.getActiveSession();
+        if (!session) {
+            hideElement(section);
+            return;
+        }
+
+        const total = session.mode === 'adaptive' ? session.sessionLength : session.questionIds.length;
+        document.getElementById('resume-text').textContent =
+            t('{name}・{answered}/{total}問回答済み・スコア{score}', {
+                name: this.getSessionName(session),
+                answered: session.currentQuestionIndex + 1,
+                total,
+                score: session.score
+            });
+        showElement(section);
+    }
+
+    /**
+     * Get a display name for a quiz session
+     * @param {Object} session - Quiz session or history entry
+     * @returns {string} Session name
+     */
+    getSessionName(session) {
+        const names = {
+            adaptive: 'おまかせ',
+            review: '復習',
+            daily: 'デイリーチャレンジ',
+            custom: 'カスタムクイズ'
+        };
+        return names[session.mode] ? t(names[session.mode]) : this.getDifficultyName(session.difficulty);
+    }
+
+    /**
+     * Resume the unfinished quiz from the question after the last answer
+     */
+    resumeQuiz() {
+        if (!quiz.resumeSession()) {
+            this.updateUserStatus();
+            return;
+        }
+
+        this.showScreen('quiz-screen');
+        this.nextQuestion();
+    }
+
+    /**
+     * Give up the unfinished quiz
+     */
+    discardQuiz() {
+        if (!confirm(t('中断したクイズを破棄しますか？ここまでの解答は記録に残りますが、ポイントは獲得できません。'))) return;
+
+        quiz.abandonSession();
+        this.updateUserStatus();
+    }
+
+    /**
+     * Update daily challenge banner state
+     */
+    updateDailyChallengeBanner() {
+        const banner = document.getElementById('daily-challenge-banner');
+        const button = document.getElementById('btn-daily-challenge');
+        const text = document.getElementById('daily-challenge-text');
+        const completed = daily.isCompletedToday();
+
+        banner.classList.toggle('completed', completed);
+        button.disabled = completed;
+        button.textContent = completed ? t('完了') : t('挑戦');
+        text.textContent = completed
+            ? t('今日のチャレンジは完了！また明日挑戦しよう')
+            : t('今日の{count}問に挑戦してボーナスを獲得しよう！', { count: daily.questionCount });
+        document.getElementById('daily-streak').textContent = daily.getStreak();
+    }
+
+    /**
+     * Show a screen and put its path in the URL
+     * @param {string} screenId - Screen ID to show
+     */
+    showScreen(screenId) {
+        // Hide all screens
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.remove('active');
+        });
+
+        // Show target screen
+        const targetScreen = document.getElementById(screenId);
+        if (targetScreen) {
+            targetScreen.classList.add('active');
+            this.currentScreen = screenId;
+
+            // Keyboard focus would otherwise stay on a control of the hidden screen
+            if (!modals.isOpen() && !targetScreen.contains(document.activeElement)) {
+                targetScreen.focus({ preventScroll: true });
+            }
+            router.sync(this.getScreenPath(screenId));
+            debug(`Screen changed to: ${screenId}`);
+        }
+    }
+
+    /**
+     * Show difficulty selection modal
+     */
+    showDifficultyModal() {
+        const timedMode = storage.getSetting('timedMode');
+        document.getElementById('timed-mode-checkbox').checked = timedMode;
+        document.getElementById('time-limit-select').value = storage.getSetting('timeLimit');
+        document.getElementById('time-limit-select').disabled = !timedMode;
+
+        const modal = document.getElementById('difficulty-modal');
+        modals.open(modal, () => this.closeDifficultyModal());
+    }
+
+    /**
+     * Close difficulty modal
+     */
+    closeDifficultyModal() {
+        const modal = document.getElementById('difficulty-modal');
+        modals.close(modal);
+    }
+
+    /**
+     * Start quiz with selected difficulty
+     * @param {string} difficulty - Difficulty level, or 'adaptive' to match the user's rating
+     */
+    startQuiz(difficulty) {
+        this.closeDifficultyModal();
+
+        const timeLimit = storage.getSetting('timedMode') ? storage.getSetting('timeLimit') : null;
+        const started = difficulty === 'adaptive'
+            ? quiz.startAdaptiveQuiz(timeLimit)
+            : quiz.startQuiz(difficulty, timeLimit);
+        if (started) {
+            this.showScreen('quiz-screen');
+            this.displayQuestion();
+        }
+    }
+
+    /**
+     * Start a review session with questions due today
+     */
+    startReview() {
+        if (quiz.startReview()) {
+            this.showScreen('quiz-screen');
+            this.displayQuestion();
+        }
+    }
+
+    /**
+     * Display current question
+     */
+    displayQuestion() {
+        const question = quiz.getCurrentQuestion();
+        if (!question) return;
+
+        // Update progress
+        const progress = quiz.getProgress();
+        document.getElementById('quiz-progress-fill').style.width = `${progress}%`;
+        document.getElementById('current-question').textContent = quiz.currentQuestionIndex + 1;
+        document.getElementById('total-questions').textContent = quiz.getTotalQuestions();
+
+        // Update score
+        document.getElementById('quiz-score').textContent = quiz.score;
+
+        // Display question and the answer controls for its type
+        const optionsContainer = document.getElementById('options-container');
+        this.renderQuestion(
+            question,
+            document.getElementById('question-text'),
+            optionsContainer,
+            answer => this.selectAnswer(answer)
+        );
+
+        // Hide feedback section
+        hideElement(document.getElementById('feedback-section'));
+
+        // Let screen readers read the new question unless the answer control took focus
+        if (!optionsContainer.contains(document.activeElement)) {
+            document.getElementById('question-text').focus({ preventScroll: true });
+        }
+
+        // Start timing the answer
+        quiz.beginQuestion();
+        this.startQuestionTimer();
+    }
+
+    /**
+     * Show a question's text and answer controls. The editor's preview uses
+     * this too, so a question looks the same there as in the quiz.
+     * @param {Object} question - Question data
+     * @param {HTMLElement} textElement - Element for the question text
+     * @param {HTMLElement} optionsContainer - Container for the answer controls
+     * @param {Function} onAnswer - Called with the user's answer
+     * @param {Object} [options] - Render options of questionTypes.render()
+     */
+    renderQuestion(question, textElement, optionsContainer, onAnswer, options = {}) {
+        textElement.textContent = question.question;
+        questionTypes.render(question, optionsContainer, onAnswer, options);
+    }
+
+    /**
+     * Show and run the countdown in timed mode.
+     * When time runs out the question is answered as wrong.
+     */
+    startQuestionTimer() {
+        this.stopQuestionTimer();
+
+        const timer = document.getElementById('quiz-timer');
+        if (!quiz.timeLimit) {
+            hideElement(timer);
+            return;
+        }
+
+        const duration = quiz.timeLimit * 1000;
+        const fill = document.getElementById('timer-fill');
+        const seconds = document.getElementById('timer-seconds');
+
+        const update = () => {
+            const remaining = Math.max(0, duration - quiz.getElapsedTime());
+            fill.style.width = `${(remaining / duration) * 100}%`;
+            seconds.textContent = Math.ceil(remaining / 1000);
+            timer.classList.toggle('warning', remaining <= duration * 0.3);
+
+            if (remaining === 0) {
+                this.stopQuestionTimer();
+                this.selectAnswer(null);
+            }
+        };
+
+        showElement(timer);
+        update();
+        this.timerInterval = setInterval(update, 100);
+    }
+
+    /**
+     * Stop the countdown
+     */
+    stopQuestionTimer() {
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
+    }
+
+    /**
+     * Handle answer selection
+     * @param {*} answer - User's answer (format depends on question type);
+     *     null when the time ran out
+     */
+    async selectAnswer(answer) {
+        this.stopQuestionTimer();
+
+        const result = quiz.checkAnswer(answer);
+        if (!result) return;
+
+        // Disable controls and highlight correct and incorrect answers
+        const question = quiz.getCurrentQuestion();
+        const optionsContainer = document.getElementById('options-container');
+        questionTypes.showResult(question, optionsContainer, answer, result.isCorrect);
+
+        // Show feedback
+        await delay(500);
+        this.showFeedback(result);
+    }
+
+    /**
+     * Show feedback for answer
+     * @param {Object} result - Answer result
+     */
+    showFeedback(result) {
+        const feedbackSection = document.getElementById('feedback-section');
+        const feedbackResult = document.getElementById('feedback-result');
+        const feedbackExplanation = document.getElementById('feedback-explanation');
+
+        if (result.timedOut) {
+            feedbackResult.textContent = t('⏱ 時間切れ');
+        } else {
+            feedbackResult.textContent = result.isCorrect ? t('✓ 正解！') : t('✗ 不正解');
+        }
+        feedbackResult.className = `feedback-result ${result.isCorrect ? 'correct' : 'incorrect'}`;
+        feedbackExplanation.textContent = result.explanation;
+
+        const feedbackAnswer = document.getElementById('feedback-answer');
+        if (result.isCorrect) {
+            hideElement(feedbackAnswer);
+        } else {
+            feedbackAnswer.textContent = t('正解: {answer}', { answer: result.correctAnswerText });
+            showElement(feedbackAnswer);
+        }
+
+        showElement(feedbackSection, 'animate-slide-up');
+
+        // Colors are not the only signal: read the result out and let Enter go on
+        announce([
+            feedbackResult.textContent,
+            result.isCorrect ? '' : feedbackAnswer.textContent,
+            result.explanation
+        ].filter(Boolean).join(' '));
+        document.getElementById('btn-next-question').focus({ preventScroll: true });
+    }
+
+    /**
+     * Play the quiz from the keyboard: number keys choose an answer and
+     * Enter submits it or goes to the next question
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleQuizKeydown(e) {
+        if (this.currentScreen !== 'quiz-screen' || modals.isOpen()) return;
+        if (e.ctrlKey || e.altKey || e.metaKey || e.repeat) return;
+        // Fields keep their own typing and Enter behavior
+        if (e.target.closest('input, select, textarea')) return;
+
+        const optionsContainer = document.getElementById('options-container');
+        if (e.key === 'Enter') {
+            // A focused button is pressed by Enter already
+            if (e.target.closest('button, a')) return;
+
+            const feedbackSection = document.getElementById('feedback-section');
+            const submit = optionsContainer.querySelector('.btn-submit-answer');
+            if (feedbackSection.style.display !== 'none') {
+                e.preventDefault();
+                this.nextQuestion();
+            } else if (submit && !submit.disabled) {
+                e.preventDefault();
+                submit.click();
+            }
+            return;
+        }
+
+        const button = questionTypes.getShortcutButton(optionsContainer, e.key);
+        if (button) {
+            e.preventDefault();
+            button.click();
+        }
+    }
+
+    /**
+     * Move to next question
+     */
+    nextQuestion() {
+        if (quiz.nextQuestion()) {
+            this.displayQuestion();
+        } else {
+            this.showResults();
+        }
+    }
+
+    /**
+     * Show quiz results
+     */
+    showResults() {
+        const results = quiz.getResults();
+
+        // Update results display
+        document.getElementById('result-correct').textContent = results.correctAnswers;
+        document.getElementById('result-total').textContent = results.totalQuestions;
+        document.getElementById('result-points').textContent = results.score;
+
+        // Show rating change for adaptive quizzes
+        const resultRating = document.getElementById('result-rating');
+        if (results.ratingChange) {
+            const { before, after } = results.ratingChange;
+            const diff = after - before;
+            document.getElementById('result-rating-value').textContent = after;
+            document.getElementById('result-rating-diff').textContent =
+                `(${diff >= 0 ? '+' : ''}${diff})`;
+            showElement(resultRating);
+        } else {
+            hideElement(resultRating);
+        }
+
+        // Show level up notification if applicable
+        const levelUpNotification = document.getElementById('level-up-notification');
+        if (results.levelUpInfo.leveledUp) {
+            document.getElementById('new-level').textContent = results.levelUpInfo.newLevel;
+            showElement(levelUpNotification);
+        } else {
+            hideElement(levelUpNotification);
+        }
+
+        // Show daily challenge bonus if applicable
+        const dailyBonusNotification = document.getElementById('daily-bonus-notification');
+        if (results.dailyResult) {
+            document.getElementById('daily-bonus-points').textContent = results.dailyResult.bonus;
+            document.getElementById('daily-bonus-streak').textContent = results.dailyResult.streak;
+            showElement(dailyBonusNotification);
+        } else {
+            hideElement(dailyBonusNotification);
+        }
+
+        // Show badge notifications if applicable
+        const badgeNotification = document.getElementById('badge-notification');
+        const newBadgesContainer = document.getElementById('new-badges-container');
+
+        if (results.newBadges.length > 0) {
+            newBadgesContainer.innerHTML = results.newBadges.map(badge =>
+                `<div class="badge-item">
+                    <div class="badge-icon">${badge.icon}</div>
+                    <div class="badge-name">${badge.name}</div>
+                </div>`
+            ).join('');
+            showElement(badgeNotification);
+        } else {
+            hideElement(badgeNotification);
+        }
+
+        // Show wrong answers if any
+        const wrongAnswersSection = document.getElementById('wrong-answers-section');
+        const wrongAnswersList = document.getElementById('wrong-answers-list');
+
+        if (results.wrongAnswers.length > 0) {
+            wrongAnswersList.innerHTML = results.wrongAnswers.map(wa =>
+                `<div class="wrong-answer-item">
+                    <div class="question">${escapeHtml(wa.question)}</div>
+                    <div class="answer">${escapeHtml(t('正解: {answer}', { answer: wa.correctAnswer }))}</div>
+                </div>`
+            ).join('');
+            showElement(wrongAnswersSection);
+        } else {
+            hideElement(wrongAnswersSection);
+        }
+
+        // Show results modal
+        const modal = document.getElementById('results-modal');
+        modals.open(modal, () => this.leaveResults());
+
+        // Read out the outcome along with level-ups and new badges
+        const messages = [
+            t('{correct}/{total}問正解・{score}pt', {
+                correct: results.correctAnswers,
+                total: results.totalQuestions,
+                score: results.score
+            })
+        ];
+        if (results.levelUpInfo.leveledUp) {
+            messages.push(t('レベル {level} になりました！', { level: results.levelUpInfo.newLevel }));
+        }
+        if (results.newBadges.length > 0) {
+            messages.push(t('新しいバッジ: {names}', {
+                names: results.newBadges.map(badge => badge.name).join(t('、'))
+            }));
+        }
+        announce(messages.join(' '));
+
+        // Update user status
+        this.updateUserStatus();
+    }
+
+    /**
+     * Close results modal
+     */
+    closeResultsModal() {
+        const modal = document.getElementById('results-modal');
+        modals.close(modal);
+    }
+
+    /**
+     * Close the results and go back to the home screen
+     */
+    leaveResults() {
+        this.closeResultsModal();
+        this.showScreen('home-screen');
+    }
+
+    /**
+     * Show a user data report if saved data had to be repaired or was rejected
+     * @param {Object|null} report - Report from storage.loadProfileData() (storage.loadReport)
+     */
+    showLoadReport(report) {
+        if (!report) return;
+
+        if (!report.valid) {
+            this.showReport(
+                t('保存データを読み込めませんでした'),
+                t('保存データが壊れていたため、新しいデータで開始しました。元のデータはバックアップとして保存されています。'),
+                report
+            );
+        } else if (report.repairs.length > 0) {
+            this.showReport(
+                t('保存データを修復しました'),
+                t('保存データの一部が正しくなかったため、次の項目を修復しました。'),
+                report
+            );
+        }
+    }
+
+    /**
+     * Log the problems found in figure, question and badge data, and show a
+     * warning on the home screen if entries were set aside
+     */
+    showContentIssues() {
+        this.contentIssues.forEach(issue => {
+            console.warn(`Content ${issue.level}: ${contentValidator.formatIssue(issue)}`);
+        });
+
+        const errors = this.contentIssues.filter(issue => issue.level === 'error');
+        const warning = document.getElementById('content-warning');
+        if (errors.length === 0) {
+            hideElement(warning);
+            return;
+        }
+
+        // Several errors can belong to one entry
+        const count = new Set(errors.map(issue => `${issue.kind}:${issue.id}`)).size;
+        document.getElementById('content-warning-text').textContent =
+            t('エラーのあるデータ{count}件を使わずに起動しました。', { count });
+        showElement(warning);
+    }
+
+    /**
+     * Show the errors that set figure, question or badge data aside
+     */
+    showContentIssueDetails() {
+        this.showReport(
+            t('データのエラー'),
+            t('次のデータはエラーがあるため使っていません。データを直すと、次に起動したときから使われます。'),
+            {
+                errors: this.contentIssues
+                    .filter(issue => issue.level === 'error')
+                    .map(issue => contentValidator.formatIssue(issue)),
+                repairs: []
+            }
+        );
+    }
+
+    /**
+     * Show profile picker
+     * @returns {Promise<void>}
+     */
+    async showProfileModal() {
+        this.hideProfileForm();
+        await this.displayProfiles();
+        modals.open(document.getElementById('profile-modal'), () => this.closeProfileModal());
+    }
+
+    /**
+     * Close profile picker
+     */
+    closeProfileModal() {
+        modals.close(document.getElementById('profile-modal'));
+    }
+
+    /**
+     * Display profiles in the picker
+     * @returns {Promise<void>}
+     */
+    async displayProfiles() {
+        const summaries = await profiles.getProfileSummaries();
+        const activeId = profiles.getActiveProfile().id;
+        const canDelete = summaries.length > 1;
+
+        document.getElementById('profile-list').innerHTML = summaries.map(profile => `
+            <div class="profile-card ${profile.id === activeId ? 'active' : ''}">
+                <button class="profile-select" data-profile-id="${escapeHtml(profile.id)}">
+                    <span class="profile-card-avatar">${escapeHtml(profile.avatar)}</span>
+                    <span class="profile-card-name">${escapeHtml(profile.name)}</span>
+                    <span class="profile-card-level">Lv.${profile.level}</span>
+                </button>
+                <button class="btn-profile-action" data-profile-id="${escapeHtml(profile.id)}" data-action="edit" title="${t('編集')}">✏️</button>
+                ${canDelete ? `<button class="btn-profile-action" data-profile-id="${escapeHtml(profile.id)}" data-action="delete" title="${t('削除')}">🗑️</button>` : ''}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show form to create or edit a profile
+     * @param {string} [profileId] - Profile to edit; creates a new one if omitted
+     */
+    showProfileForm(profileId = null) {
+        const profile = profileId ? profiles.getProfile(profileId) : null;
+        this.editingProfileId = profile ? profile.id : null;
+        this.selectedAvatar = profile ? profile.avatar : profiles.avatars[0];
+
+        document.getElementById('profile-form-title').textContent = profile ? t('プロフィールを編集') : t('新しいプロフィール');
+        document.getElementById('profile-name-input').value = profile ? profile.name : '';
+        document.getElementById('profile-form-error').textContent = '';
+
+        const picker = document.getElementById('avatar-picker');
+        picker.innerHTML = '';
+        profiles.avatars.forEach(avatar => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'avatar-option';
+            button.textContent = avatar;
+            button.classList.toggle('selected', avatar === this.selectedAvatar);
+            button.addEventListener('click', () => {
+                this.selectedAvatar = avatar;
+                picker.querySelectorAll('.avatar-option').forEach(option => {
+                    option.classList.toggle('selected', option === button);
+                });
+            });
+            picker.appendChild(button);
+        });
+
+        hideElement(document.getElementById('btn-add-profile'));
+        showElement(document.getElementById('profile-form'));
+        document.getElementById('profile-name-input').focus();
+    }
+
+    /**
+     * Hide profile form
+     */
+    hideProfileForm() {
+        this.editingProfileId = null;
+        hideElement(document.getElementById('profile-form'));
+        showElement(document.getElementById('btn-add-profile'));
+    }
+
+    /**
+     * Create or update a profile from the form.
+     * A newly created profile is selected right away.
+     * @returns {Promise<void>}
+     */
+    async saveProfileForm() {
+        const name = document.getElementById('profile-name-input').value;
+
+        try {
+            if (this.editingProfileId) {
+                await profiles.updateProfile(this.editingProfileId, name, this.selectedAvatar);
+                this.updateUserStatus();
+                this.hideProfileForm();
+                await this.displayProfiles();
+            } else {
+                const profile = await profiles.createProfile(name, this.selectedAvatar);
+                await this.selectProfile(profile.id);
+            }
+        } catch (error) {
+            document.getElementById('profile-form-error').textContent = error.message;
+        }
+    }
+
+    /**
+     * Switch to a profile and close the picker
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    async selectProfile(profileId) {
+        this.closeProfileModal();
+        if (profileId === profiles.getActiveProfile().id) return;
+
+        await profiles.switchProfile(profileId);
+        await this.onProfileChanged();
+    }
+
+    /**
+     * Delete a profile after confirmation
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    async deleteProfile(profileId) {
+        const profile = profiles.getProfile(profileId);
+        if (!profile) return;
+        if (!confirm(t('「{name}」のデータをすべて削除しますか？この操作は取り消せません。', { name: profile.name }))) return;
+
+        const wasActive = profileId === profiles.getActiveProfile().id;
+        try {
+            await profiles.deleteProfile(profileId);
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            alert(error.message);
+            return;
+        }
+
+        if (wasActive) {
+            await this.onProfileChanged();
+        }
+        await this.displayProfiles();
+    }
+
+    /**
+     * Check whether the app was loaded with the active profile's language and content packs.
+     * Both are only applied when the app starts.
+     * @returns {boolean} False if the app has to be reloaded
+     */
+    matchesProfileSettings() {
+        return storage.getSetting('language') === i18n.language &&
+            contentPacks.matchesLoaded(storage.getSetting('enabledPacks'));
+    }
+
+    /**
+     * Refresh the UI after the active profile changed.
+     * The app is reloaded if the profile uses another language or other content packs.
+     * @returns {Promise<void>}
+     */
+    async onProfileChanged() {
+        this.userData = storage.loadUserData();
+        if (!this.matchesProfileSettings()) {
+            await storage.flush();
+            window.location.reload();
+            return;
+        }
+
+        this.applyMotionSetting();
+        this.updateUserStatus();
+        this.showScreen('home-screen');
+        this.showLoadReport(storage.loadReport);
+    }
+
+    /**
+     * Show report modal
+     * @param {string} title - Modal title
+     * @param {string} message - Summary message
+     * @param {Object} report - User data validation report
+     */
+    showReport(title, message, report) {
+        document.getElementById('report-title').textContent = title;
+        document.getElementById('report-message').textContent = message;
+
+        const lines = [
+            ...report.errors.map(text => ({ text, className: 'report-error' })),
+            ...report.repairs.map(text => ({ text, className: '' }))
+        ];
+        document.getElementById('report-list').innerHTML = lines.map(line =>
+            `<li class="${line.className}">${escapeHtml(line.text)}</li>`
+        ).join('');
+
+        modals.open(document.getElementById('report-modal'), () => this.closeReportModal());
+    }
+
+    /**
+     * Close report modal
+     */
+    closeReportModal() {
+        modals.close(document.getElementById('report-modal'));
+    }
+
+    /**
+     * Show encyclopedia screen
+     */
+    showEncyclopedia() {
+        this.showScreen('encyclopedia-screen');
+        this.setCountryFilter(null);
+        this.displayFigures();
+    }
+
+    /**
+     * Display figures in encyclopedia
+     * @param {Array} figuresToDisplay - Figures to display (optional)
+     */
+    displayFigures(figuresToDisplay = null) {
+        const figures = figuresToDisplay || this.figures;
+        this.displayedFigures = figures;
+
+        const grid = document.getElementById('figures-grid');
+        const timelineView = document.getElementById('timeline-view');
+        const graphView = document.getElementById('graph-view');
+        const mapView = document.getElementById('map-view');
+        if (this.encyclopediaView === 'timeline') {
+            hideElement(grid);
+            hideElement(graphView);
+            hideElement(mapView);
+            showElement(timelineView);
+            this.displayTimeline(figures);
+            return;
+        }
+
+        if (this.encyclopediaView === 'graph') {
+            hideElement(grid);
+            hideElement(timelineView);
+            hideElement(mapView);
+            showElement(graphView);
+            this.displayGraph(figures);
+            return;
+        }
+
+        if (this.encyclopediaView === 'map') {
+            hideElement(grid);
+            hideElement(timelineView);
+            hideElement(graphView);
+            showElement(mapView);
+            this.displayMap(figures);
+            return;
+        }
+
+        hideElement(timelineView);
+        hideElement(graphView);
+        hideElement(mapView);
+        grid.style.display = '';
+        grid.innerHTML = '';
+
+        figures.forEach(figure => {
+            const isUnlocked = this.userData.unlockedFigures.includes(figure.id);
+            const card = this.createFigureCard(figure, isUnlocked);
+            grid.appendChild(card);
+        });
+    }
+
+    /**
+     * Switch the encyclopedia between the card grid, the timeline, the relation graph and the world map
+     * @param {string} view - 'grid', 'timeline', 'graph' or 'map'
+     */
+    setEncyclopediaView(view) {
+        this.encyclopediaView = view;
+        document.querySelectorAll('.view-toggle-btn').forEach(btn => {
+            const active = btn.dataset.view === view;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active);
+        });
+        this.displayFigures(this.displayedFigures);
+    }
+
+    /**
+     * Display figures as lifespans on a timeline, grouped by category
+     * @param {Array} figures - Figures to display
+     */
+    displayTimeline(figures) {
+        const container = document.getElementById('timeline-container');
+        const items = this.getTimelineItems(figures);
+
+        if (items.length === 0) {
+            container.innerHTML = `<p class="empty-message">${t('表示できる偉人がいません。')}</p>`;
+            document.getElementById('timeline-zoom-label').textContent = '-';
+            return;
+        }
+
+        const fitScale = this.getTimelineFitScale(items);
+        const scale = this.timelineScale === null
+            ? fitScale
+            : clamp(this.timelineScale, fitScale, this.maxTimelineScale);
+
+        // Keep the year in the middle of the view in place while zooming
+        const center = container.scrollWidth > 0
+            ? (container.scrollLeft + container.clientWidth / 2) / container.scrollWidth
+            : 0.5;
+
+        const groups = Object.keys(CATEGORY_NAMES).map(category => ({
+            id: category,
+            label: this.getCategoryName(category)
+        }));
+        container.innerHTML = createTimelineChart(items, { groups, pixelsPerYear: scale });
+        container.scrollLeft = center * container.scrollWidth - container.clientWidth / 2;
+
+        document.getElementById('timeline-zoom-label').textContent = `${Math.round((scale / fitScale) * 100)}%`;
+        document.getElementById('btn-timeline-zoom-in').disabled = scale >= this.maxTimelineScale;
+        document.getElementById('btn-timeline-zoom-out').disabled = scale <= fitScale;
+    }
+
+    /**
+     * Convert figures into timeline items; figures without a birth year are left out
+     * and figures without a death year are drawn up to this year
+     * @param {Array} figures - Figures
+     * @returns {Array<Object>} Timeline items
+     */
+    getTimelineItems(figures) {
+        return figures.map(figure => {
+            const start = parseYear(figure.birth);
+            if (start === null) return null;
+
+            const death = parseYear(figure.death);
+            const end = death === null ? new Date().getFullYear() : death;
+            const isUnlocked = this.userData.unlockedFigures.includes(figure.id);
+
+            return {
+                id: figure.id,
+                label: isUnlocked ? figure.name : '???',
+                title: isUnlocked
+                    ? t('{name}（{start} - {end}）', {
+                        name: figure.name,
+                        start: formatFigureDate(figure.birth),
+                        end: formatFigureDate(figure.death)
+                    })
+                    : t('まだ図鑑に登録されていない偉人（{start} - {end}）', {
+                        start: formatYear(start),
+                        end: formatYear(end)
+                    }),
+                start,
+                end,
+                group: figure.category,
+                image: figure.portrait,
+                locked: !isUnlocked,
+                approximate: isApproximateDate(figure.birth) || isApproximateDate(figure.death)
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Get the scale at which the whole timeline fits the container
+     * @param {Array<Object>} items - Timeline items
+     * @returns {number} Pixels per year
+     */
+    getTimelineFitScale(items) {
+        const range = getTimelineRange(items);
+        // Leave room for the labels right of the last bars
+        const width = document.getElementById('timeline-container').clientWidth - 180;
+        return Math.max(width, 200) / (range.max - range.min);
+    }
+
+    /**
+     * Zoom the timeline in or out
+     * @param {number} factor - Scale multiplier
+     */
+    zoomTimeline(factor) {
+        const items = this.getTimelineItems(this.displayedFigures);
+        if (items.length === 0) return;
+
+        const fitScale = this.getTimelineFitScale(items);
+        const current = this.timelineScale === null ? fitScale : this.timelineScale;
+        const next = clamp(current * factor, fitScale, this.maxTimelineScale);
+        this.timelineScale = next <= fitScale ? null : next;
+        this.displayTimeline(this.displayedFigures);
+    }
+
+    /**
+     * Display the unlocked figures as a graph of their relations
+     * @param {Array} figures - Figures to display
+     */
+    displayGraph(figures) {
+        const container = document.getElementById('graph-container');
+        const unlocked = figures.filter(figure => this.userData.unlockedFigures.includes(figure.id));
+
+        document.getElementById('graph-legend').innerHTML = Object.entries(RELATION_TYPES).map(([type, info]) => `
+            <span class="graph-legend-item">
+                <span class="graph-legend-line relation-${type}"></span>${t(info.name)}${info.directed ? ' →' : ''}
+            </span>
+        `).join('');
+
+        if (unlocked.length === 0) {
+            this.graphLayout = null;
+            container.innerHTML = `<p class="empty-message">${t('図鑑に登録した偉人がまだいません。')}</p>`;
+            return;
+        }
+
+        const ids = unlocked.map(figure => figure.id);
+        const edges = relations.getEdgesBetween(ids);
+        const nodeRadius = 22;
+        const margin = nodeRadius + 24;
+        const spacing = 110;
+        // Give every node about the same room whatever the screen width
+        const width = this.getGraphWidth();
+        const height = clamp(Math.ceil((unlocked.length * spacing * spacing) / width) + margin * 2, 360, 1200);
+        const positions = layoutGraph(ids, edges, { width, height, margin, spacing });
+        this.graphLayout = { width, height, nodeRadius, positions, edges };
+
+        const nodes = unlocked.map(figure => ({
+            id: figure.id,
+            label: figure.name,
+            title: t('{name}（{category}）', { name: figure.name, category: this.getCategoryName(figure.category) }),
+            image: figure.portrait,
+            group: figure.category
+        }));
+        const figureName = id => this.figures.find(f => f.id === id).name;
+        const chartEdges = edges.map(edge => ({
+            ...edge,
+            title: `${figureName(edge.source)} → ${figureName(edge.target)}: ` +
+                (edge.note
+                    ? t('{type}（{note}）', { type: t(RELATION_TYPES[edge.type].name), note: edge.note })
+                    : t(RELATION_TYPES[edge.type].name))
+        }));
+
+        container.innerHTML = createGraphChart(nodes, chartEdges, {
+            positions,
+            directedTypes: Object.keys(RELATION_TYPES).filter(type => RELATION_TYPES[type].directed),
+            width,
+            height,
+            nodeRadius
+        });
+    }
+
+    /**
+     * Get the width available to the relation graph
+     * @returns {number} Width in pixels
+     */
+    getGraphWidth() {
+        return Math.max(document.getElementById('graph-container').clientWidth, 320);
+    }
+
+    /**
+     * Highlight a node, its neighbours and its relations in the graph
+     * @param {string|null} figureId - Figure ID, or null to clear the highlight
+     */
+    setGraphFocus(figureId) {
+        const svg = document.querySelector('#graph-container .graph-chart');
+        if (!svg) return;
+
+        const neighbours = new Set([figureId]);
+        svg.querySelectorAll('.graph-edge').forEach(edge => {
+            const focused = edge.dataset.source === figureId || edge.dataset.target === figureId;
+            edge.classList.toggle('focused', focused);
+            if (focused) {
+                neighbours.add(edge.dataset.source);
+                neighbours.add(edge.dataset.target);
+            }
+        });
+        svg.querySelectorAll('.graph-node').forEach(node => {
+            node.classList.toggle('focused', neighbours.has(node.dataset.figureId));
+        });
+        svg.classList.toggle('has-focus', figureId !== null);
+    }
+
+    /**
+     * Convert a pointer position into graph coordinates
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object} { x, y }
+     */
+    getGraphPoint(event) {
+        const svg = document.querySelector('#graph-container .graph-chart');
+        const point = new DOMPoint(event.clientX, event.clientY)
+            .matrixTransform(svg.getScreenCTM().inverse());
+        return { x: point.x, y: point.y };
+    }
+
+    /**
+     * Start dragging a graph node
+     * @param {PointerEvent} event - Pointer event
+     */
+    startGraphDrag(event) {
+        const node = event.target.closest('.graph-node');
+        if (!node || !this.graphLayout) return;
+
+        node.setPointerCapture(event.pointerId);
+        this.graphDrag = {
+            node,
+            figureId: node.dataset.figureId,
+            start: this.getGraphPoint(event),
+            moved: false
+        };
+    }
+
+    /**
+     * Move the dragged graph node and the lines of its relations
+     * @param {PointerEvent} event - Pointer event
+     */
+    moveGraphDrag(event) {
+        const drag = this.graphDrag;
+        if (!drag) return;
+
+        const point = this.getGraphPoint(event);
+        // Small movements still count as a click
+        if (!drag.moved && Math.hypot(point.x - drag.start.x, point.y - drag.start.y) < 4) return;
+        drag.moved = true;
+
+        const { width, height, nodeRadius, positions } = this.graphLayout;
+        const position = {
+            x: clamp(point.x, nodeRadius, width - nodeRadius),
+            y: clamp(point.y, nodeRadius, height - nodeRadius)
+        };
+        positions[drag.figureId] = position;
+        drag.node.setAttribute('transform', `translate(${position.x} ${position.y})`);
+
+        document.querySelectorAll('#graph-container .graph-edge').forEach(line => {
+            const { source, target } = line.dataset;
+            if (source !== drag.figureId && target !== drag.figureId) return;
+
+            const ends = getGraphEdgeEnds(positions[source], positions[target], nodeRadius);
+            Object.entries(ends).forEach(([name, value]) => line.setAttribute(name, value));
+        });
+    }
+
+    /**
+     * Finish dragging a graph node; a node released without moving is opened
+     * @param {PointerEvent} event - Pointer event
+     */
+    endGraphDrag(event) {
+        const drag = this.graphDrag;
+        if (!drag) return;
+
+        this.graphDrag = null;
+        drag.node.releasePointerCapture(event.pointerId);
+        if (!drag.moved) {
+            this.openFigureItem(drag.node);
+        }
+    }
+
+    /**
+     * Load the bundled world map SVG
+     * @returns {Promise<string|null>} SVG markup, or null if it could not be loaded
+     */
+    async loadWorldMap() {
+        if (this.worldMap) return this.worldMap;
+
+        try {
+            const response = await fetch('images/world-map.svg');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.worldMap = await response.text();
+        } catch (error) {
+            console.error('Error loading world map:', error);
+        }
+        return this.worldMap;
+    }
+
+    /**
+     * Count figures and unlocked figures per country.
+     * A figure with several countries is counted in each of them.
+     * @param {Array} figures - Figures
+     * @returns {Object} { [code]: { total, unlocked } }
+     */
+    getCountryCounts(figures) {
+        const counts = {};
+        figures.forEach(figure => {
+            const isUnlocked = this.userData.unlockedFigures.includes(figure.id);
+            (figure.countries || []).forEach(code => {
+                counts[code] = counts[code] || { total: 0, unlocked: 0 };
+                counts[code].total += 1;
+                if (isUnlocked) counts[code].unlocked += 1;
+            });
+        });
+        return counts;
+    }
+
+    /**
+     * Get country name in the selected language
+     * @param {string} code - ISO 3166-1 alpha-2 code
+     * @returns {string} Country name
+     */
+    getCountryName(code) {
+        return COUNTRY_NAMES[code] ? t(COUNTRY_NAMES[code]) : code;
+    }
+
+    /**
+     * Display the world map with the number of unlocked figures per country.
+     * Countries with figures can be chosen to list their figures.
+     * @param {Array} figures - Figures to display
+     */
+    async displayMap(figures) {
+        const container = document.getElementById('world-map-container');
+        const counts = this.getCountryCounts(figures);
+        const codes = Object.keys(counts).sort((a, b) =>
+            counts[b].total - counts[a].total || i18n.compare(this.getCountryName(a), this.getCountryName(b))
+        );
+
+        document.getElementById('country-list').innerHTML = codes.map(code => `
+            <button class="country-chip ${counts[code].unlocked > 0 ? 'has-figures' : ''}" data-country="${escapeHtml(code)}">
+                ${escapeHtml(this.getCountryName(code))}
+                <span class="country-chip-count">${t('{unlocked}/{total}人', counts[code])}</span>
+            </button>
+        `).join('');
+
+        const map = await this.loadWorldMap();
+        if (!map) {
+            container.innerHTML = `<p class="empty-message">${t('地図を読み込めませんでした。')}</p>`;
+            return;
+        }
+
+        container.innerHTML = map;
+        const svg = container.querySelector('svg');
+        svg.classList.add('world-map-chart');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', t('偉人の国別の地図'));
+
+        const bubbles = [];
+        svg.querySelectorAll('.world-country').forEach(path => {
+            const code = path.dataset.country;
+            const count = counts[code];
+            if (!count) return;
+
+            const label = t('{country}: 登録 {unlocked}人（全{total}人）', { country: this.getCountryName(code), ...count });
+            path.classList.add(count.unlocked > 0 ? 'has-figures' : 'has-locked');
+            path.setAttribute('tabindex', '0');
+            path.setAttribute('role', 'button');
+            path.setAttribute('aria-label', label);
+            path.insertAdjacentHTML('beforeend', `<title>${escapeHtml(label)}</title>`);
+
+            if (count.unlocked > 0) {
+                bubbles.push(`
+                    <g class="country-count">
+                        <circle cx="${path.dataset.labelX}" cy="${path.dataset.labelY}" r="7"></circle>
+                        <text x="${path.dataset.labelX}" y="${Number(path.dataset.labelY) + 3}" text-anchor="middle">${count.unlocked}</text>
+                    </g>
+                `);
+            }
+        });
+        svg.insertAdjacentHTML('beforeend', bubbles.join(''));
+    }
+
+    /**
+     * Filter the encyclopedia by the country of a map path or country chip
+     * @param {Element} target - Clicked or focused element
+     */
+    openCountry(target) {
+        const item = target.closest('[data-country]');
+        // Countries on the map without figures cannot be chosen
+        if (!item || item.matches('.world-country:not(.has-figures):not(.has-locked)')) return;
+
+        this.filterByCountry(item.dataset.country);
+    }
+
+    /**
+     * Show the figures of a country in the card grid
+     * @param {string} code - ISO 3166-1 alpha-2 code
+     */
+    filterByCountry(code) {
+        document.getElementById('category-filter').value = 'all';
+        document.getElementById('search-input').value = '';
+        this.setCountryFilter(code);
+        this.displayedFigures = this.figures.filter(f => (f.countries || []).includes(code));
+        this.setEncyclopediaView('grid');
+    }
+
+    /**
+     * Set or clear the country filter and its bar
+     * @param {string|null} code - ISO 3166-1 alpha-2 code, or null to clear
+     */
+    setCountryFilter(code) {
+        this.countryFilter = code;
+        const section = document.getElementById('country-filter-section');
+        if (!code) {
+            hideElement(section);
+            return;
+        }
+
+        const count = this.figures.filter(f => (f.countries || []).includes(code)).length;
+        document.getElementById('country-filter-text').textContent =
+            t('🗺 {country}の偉人（{count}人）', { country: this.getCountryName(code), count });
+        showElement(section);
+    }
+
+    /**
+     * Start a quiz on the figures of a country through the custom quiz form
+     * @param {string} code - ISO 3166-1 alpha-2 code
+     */
+    startCountryQuiz(code) {
+        this.showCustomQuiz();
+        this.setCustomQuizOptions({
+            categories: [],
+            countries: [code],
+            figureIds: [],
+            difficulties: ['beginner', 'intermediate', 'advanced'],
+            questionCount: 10
+        });
+        this.startCustomQuiz();
+    }
+
+    /**
+     * Open the details of the figure whose timeline item, graph node or
+     * related figure entry contains an element
+     * @param {Element} target - Clicked or focused element
+     */
+    openFigureItem(target) {
+        const item = target.closest('[data-figure-id]');
+        if (!item || item.classList.contains('locked')) return;
+
+        const figure = this.figures.find(f => f.id === item.dataset.figureId);
+        if (figure) {
+            this.showFigureDetail(figure);
+        }
+    }
+
+    /**
+     * Create a figure card element
+     * @param {Object} figure - Figure data
+     * @param {boolean} isUnlocked - Whether figure is unlocked
+     * @returns {HTMLElement} Figure card element
+     */
+    createFigureCard(figure, isUnlocked) {
+        const card = document.createElement('div');
+        card.className = `figure-card ${isUnlocked ? '' : 'locked'}`;
+
+        if (isUnlocked) {
+            card.tabIndex = 0;
+            card.setAttribute('role', 'button');
+            card.addEventListener('click', () => this.showFigureDetail(figure));
+            card.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.showFigureDetail(figure);
+                }
+            });
+        }
+
+        card.innerHTML = `
+            <img class="figure-portrait" src="${isUnlocked ? escapeHtml(figure.portrait) : 'images/portraits/locked.png'}" 
+                 alt="${isUnlocked ? escapeHtml(figure.name) : '???'}" 
+                 onerror="this.src='images/portraits/placeholder.png'">
+            <div class="figure-card-content">
+                <div class="figure-name">${isUnlocked ? escapeHtml(figure.name) : '???'}</div>
+                <div class="figure-category-badge">${this.getCategoryName(figure.category)}</div>
+            </div>
+        `;
+
+        return card;
+    }
+
+    /**
+     * Get category name in the selected language
+     * @param {string} category - Category ID
+     * @returns {string} Category name
+     */
+    getCategoryName(category) {
+        return CATEGORY_NAMES[category] ? t(CATEGORY_NAMES[category]) : category;
+    }
+
+    /**
+     * Show figure detail modal
+     * @param {Object} figure - Figure data
+     */
+    showFigureDetail(figure) {
+        document.getElementById('detail-portrait').src = figure.portrait;
+        document.getElementById('detail-name').textContent = figure.name;
+        document.getElementById('detail-dates').textContent =
+            `${formatFigureDate(figure.birth)} - ${formatFigureDate(figure.death)}`;
+        document.getElementById('detail-country').textContent = figure.country;
+        document.getElementById('detail-category').textContent = this.getCategoryName(figure.category);
+
+        const achievements = figure.achievements || [];
+        document.getElementById('detail-achievements').innerHTML =
+            achievements.map(a => `<li>${escapeHtml(a)}</li>`).join('');
+        document.getElementById('detail-achievements-section').style.display = achievements.length > 0 ? '' : 'none';
+
+        const quotes = figure.quotes || [];
+        document.getElementById('detail-quotes').innerHTML =
+            quotes.map(q => `<p>"${escapeHtml(q)}"</p>`).join('');
+        document.getElementById('detail-quotes-section').style.display = quotes.length > 0 ? '' : 'none';
+
+        document.getElementById('detail-description').textContent = figure.description;
+
+        this.displayRelatedFigures(figure);
+
+        const modal = document.getElementById('figure-detail-modal');
+        modals.open(modal, () => this.leaveFigureDetail());
+        modal.querySelector('.modal-content').scrollTop = 0;
+        router.sync(`/encyclopedia/${encodeURIComponent(figure.id)}`);
+    }
+
+    /**
+     * Show the figures related to a figure in the detail modal.
+     * Figures not unlocked yet are listed without their name.
+     * @param {Object} figure - Figure data
+     */
+    displayRelatedFigures(figure) {
+        const section = document.getElementById('detail-related-section');
+        const related = relations.getRelatedFigures(figure.id);
+
+        if (related.length === 0) {
+            hideElement(section);
+            return;
+        }
+
+        document.getElementById('detail-related').innerHTML = related.map(({ figure: other, type, label, note }) => {
+            const isUnlocked = this.userData.unlockedFigures.includes(other.id);
+            const tag = isUnlocked ? 'button' : 'div';
+            return `
+                <${tag} class="related-figure ${isUnlocked ? '' : 'locked'}" data-figure-id="${escapeHtml(other.id)}">
+                    <img class="related-portrait" src="${isUnlocked ? escapeHtml(other.portrait) : 'images/portraits/locked.png'}"
+                         alt="" onerror="this.src='images/portraits/placeholder.png'">
+                    <span class="related-info">
+                        <span class="related-type relation-${escapeHtml(type)}">${escapeHtml(label)}</span>
+                        <span class="related-name">${isUnlocked ? escapeHtml(other.name) : '???'}</span>
+                        ${isUnlocked && note ? `<span class="related-note">${escapeHtml(note)}</span>` : ''}
+                    </span>
+                </${tag}>
+            `;
+        }).join('');
+        showElement(section);
+    }
+
+    /**
+     * Close figure detail modal
+     */
+    closeFigureDetailModal() {
+        const modal = document.getElementById('figure-detail-modal');
+        modals.close(modal);
+    }
+
+    /**
+     * Close figure detail modal and go back to the URL of the screen behind it
+     */
+    leaveFigureDetail() {
+        this.closeFigureDetailModal();
+        router.sync(this.getScreenPath(this.currentScreen));
+    }
+
+    /**
+     * Filter figures by category
+     * @param {string} category - Category to filter
+     */
+    filterFigures(category) {
+        this.setCountryFilter(null);
+        if (category === 'all') {
+            this.displayFigures();
+        } else {
+            const filtered = this.figures.filter(f => f.category === category);
+            this.displayFigures(filtered);
+        }
+    }
+
+    /**
+     * Search figures by name
+     * @param {string} query - Search query
+     */
+    searchFigures(query) {
+        this.setCountryFilter(null);
+        if (!query.trim()) {
+            this.displayFigures();
+            return;
+        }
+
+        const filtered = this.figures.filter(f =>
+            f.name.toLowerCase().includes(query.toLowerCase()) ||
+            (f.nameEn || '').toLowerCase().includes(query.toLowerCase())
+        );
+        this.displayFigures(filtered);
+    }
+
+    /**
+     * Show statistics screen
+     */
+    showStatistics() {
+        this.userData = storage.loadUserData();
+        this.showScreen('statistics-screen');
+        this.displayStatistics();
+    }
+
+    /**
+     * Display statistics
+     */
+    displayStatistics() {
+        // Update overall stats
+        document.getElementById('stat-accuracy').textContent =
+            `${this.userData.statistics.accuracyRate}%`;
+        document.getElementById('stat-figures-learned').textContent =
+            this.userData.unlockedFigures.length;
+        document.getElementById('stat-total-questions').textContent =
+            this.userData.statistics.totalQuestions;
+
+        const averageTime = storage.getAverageAnswerTime();
+        document.getElementById('stat-average-time').textContent =
+            averageTime === null ? '-' : t('{seconds}秒', { seconds: (averageTime / 1000).toFixed(1) });
+
+        const userRating = adaptive.getUserRating();
+        document.getElementById('stat-rating').textContent = userRating.rating;
+        document.getElementById('stat-rating-level').textContent = userRating.count > 0
+            ? t('{level}レベル・{count}問', {
+                level: this.getDifficultyName(adaptive.getRatingLevel(userRating.rating)),
+                count: userRating.count
+            })
+            : t('まだ記録がありません');
+
+        // Display badges
+        this.displayBadges();
+
+        // Display category stats
+        this.displayCategoryStats();
+
+        // Display difficulty stats
+        this.displayDifficultyStats();
+
+        // Display per-figure mastery
+        this.displayFigureStats();
+
+        // Display accuracy trend
+        this.displayAccuracyTrend(document.getElementById('trend-category-filter').value);
+
+        // Display daily challenge calendar for the current month
+        const today = parseDate(getToday());
+        this.calendarMonth = { year: today.getFullYear(), month: today.getMonth() + 1 };
+        this.displayDailyCalendar();
+    }
+
+    /**
+     * Display badges
+     */
+    displayBadges() {
+        const badgesGrid = document.getElementById('badges-grid');
+        const allBadges = gamification.getAllBadges();
+
+        badgesGrid.innerHTML = allBadges.map(badge => `
+            <div class="badge-item ${badge.unlocked ? '' : 'locked'}" title="${escapeHtml(badge.description || '')}">
+                <div class="badge-icon">${badge.icon}</div>
+                <div class="badge-name">${badge.name}</div>
+                ${badge.unlocked ? '' : `
+                    <div class="badge-progress">
+                        <div class="badge-progress-bar">
+                            <div class="badge-progress-fill" style="width: ${calculatePercentage(badge.progress.current, badge.progress.target)}%"></div>
+                        </div>
+                        <span class="badge-progress-text">${gamification.formatProgress(badge.progress)}</span>
+                    </div>
+                `}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Display category statistics
+     */
+    displayCategoryStats() {
+        const categoryStatsList = document.getElementById('category-stats-list');
+        const categoryStats = this.userData.statistics.categoryStats;
+
+        // Categories with figures, and ones answered before (e.g. from a pack turned off since)
+        const categories = Object.keys(CATEGORY_NAMES).filter(category =>
+            categoryStats[category] || this.figures.some(figure => figure.category === category)
+        );
+
+        categoryStatsList.innerHTML = categories.map(category => {
+            const stats = categoryStats[category] || { total: 0, correct: 0 };
+            const accuracy = stats.total > 0 ? calculatePercentage(stats.correct, stats.total) : 0;
+
+            return `
+                <div class="category-stat-item">
+                    <div class="category-stat-header">
+                        <span class="category-name">${this.getCategoryName(category)}</span>
+                        <span class="category-accuracy">${accuracy}%</span>
+                    </div>
+                    <div class="category-progress-bar">
+                        <div class="category-progress-fill" style="width: ${accuracy}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Display difficulty statistics
+     */
+    displayDifficultyStats() {
+        const difficultyStatsList = document.getElementById('difficulty-stats-list');
+        const difficultyStats = this.userData.statistics.difficultyStats || {};
+
+        const difficulties = ['beginner', 'intermediate', 'advanced'];
+
+        difficultyStatsList.innerHTML = difficulties.map(difficulty => {
+            const stats = difficultyStats[difficulty] || { total: 0, correct: 0 };
+            const accuracy = calculatePercentage(stats.correct, stats.total);
+
+            return `
+                <div class="category-stat-item">
+                    <div class="category-stat-header">
+                        <span class="category-name">${this.getDifficultyName(difficulty)}</span>
+                        <span class="category-accuracy">${accuracy}% (${stats.correct}/${stats.total})</span>
+                    </div>
+                    <div class="category-progress-bar">
+                        <div class="category-progress-fill" style="width: ${accuracy}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Display per-figure mastery
+     */
+    displayFigureStats() {
+        const figureStatsList = document.getElementById('figure-stats-list');
+        const figureStats = this.userData.statistics.figureStats || {};
+
+        const rows = this.figures
+            .filter(figure => figureStats[figure.id] && figureStats[figure.id].total > 0)
+            .map(figure => {
+                const stats = figureStats[figure.id];
+                return {
+                    figure,
+                    stats,
+                    accuracy: calculatePercentage(stats.correct, stats.total)
+                };
+            })
+            .sort((a, b) => b.accuracy - a.accuracy || b.stats.total - a.stats.total);
+
+        if (rows.length === 0) {
+            figureStatsList.innerHTML = `<p class="empty-message">${t('まだ解答した問題がありません。')}</p>`;
+            return;
+        }
+
+        figureStatsList.innerHTML = rows.map(({ figure, stats, accuracy }) => `
+            <div class="category-stat-item figure-stat-item">
+                <div class="category-stat-header">
+                    <span class="category-name">${escapeHtml(figure.name)}</span>
+                    <span class="mastery-label mastery-${this.getMasteryLevel(stats)}">${this.getMasteryName(stats)}</span>
+                    <span class="category-accuracy">${accuracy}% (${stats.correct}/${stats.total})</span>
+                </div>
+                <div class="category-progress-bar">
+                    <div class="category-progress-fill" style="width: ${accuracy}%"></div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Get mastery level for figure statistics
+     * @param {Object} stats - Figure statistics ({ total, correct })
+     * @returns {string} Mastery level ID
+     */
+    getMasteryLevel(stats) {
+        const accuracy = calculatePercentage(stats.correct, stats.total);
+        if (stats.total >= 5 && accuracy >= 80) return 'mastered';
+        if (accuracy >= 50) return 'learning';
+        return 'weak';
+    }
+
+    /**
+     * Get mastery level name in the selected language
+     * @param {Object} stats - Figure statistics ({ total, correct })
+     * @returns {string} Mastery level name
+     */
+    getMasteryName(stats) {
+        const names = {
+            mastered: '習得済み',
+            learning: '学習中',
+            weak: '要復習'
+        };
+        return t(names[this.getMasteryLevel(stats)]);
+    }
+
+    /**
+     * Display accuracy trend chart from quiz history
+     * @param {string} category - Category to plot, or 'all'
+     */
+    displayAccuracyTrend(category = 'all') {
+        const chartContainer = document.getElementById('accuracy-trend-chart');
+        const history = this.userData.quizHistory
+            .filter(entry => entry.status !== 'abandoned')
+            .slice(-20);
+
+        if (history.length === 0) {
+            chartContainer.innerHTML = `<p class="empty-message">${t('クイズを完了すると推移が表示されます。')}</p>`;
+            return;
+        }
+
+        const values = history.map(entry => {
+            if (category === 'all') return entry.accuracyRate;
+            const stats = entry.categoryBreakdown && entry.categoryBreakdown[category];
+            return stats && stats.total > 0 ? calculatePercentage(stats.correct, stats.total) : null;
+        });
+        const labels = history.map(entry => entry.date.slice(5).replace('-', '/'));
+
+        chartContainer.innerHTML = createLineChart(values, { labels });
+    }
+
+    /**
+     * Get difficulty name in the selected language
+     * @param {string} difficulty - Difficulty ID
+     * @returns {string} Difficulty name
+     */
+    getDifficultyName(difficulty) {
+        const names = {
+            beginner: '初級',
+            intermediate: '中級',
+            advanced: '上級'
+        };
+        return names[difficulty] ? t(names[difficulty]) : difficulty;
+    }
+
+    /**
+     * Move the daily challenge calendar by months
+     * @param {number} offset - Months to move (negative for past)
+     */
+    changeCalendarMonth(offset) {
+        const date = new Date(this.calendarMonth.year, this.calendarMonth.month - 1 + offset, 1);
+        this.calendarMonth = { year: date.getFullYear(), month: date.getMonth() + 1 };
+        this.displayDailyCalendar();
+    }
+
+    /**
+     * Display daily challenge results as a month calendar
+     */
+    displayDailyCalendar() {
+        const { year, month } = this.calendarMonth;
+        const history = daily.getMonthHistory(year, month);
+        const today = getToday();
+
+        document.getElementById('calendar-month').textContent =
+            new Date(year, month - 1, 1).toLocaleDateString(i18n.language, { year: 'numeric', month: 'long' });
+
+        // Weekday names from Sunday; 1 January 2023 was a Sunday
+        const weekdays = [0, 1, 2, 3, 4, 5, 6].map(offset =>
+            new Date(2023, 0, 1 + offset).toLocaleDateString(i18n.language, { weekday: 'short' })
+        );
+        const firstWeekday = new Date(year, month - 1, 1).getDay();
+        const daysInMonth = new Date(year, month, 0).getDate();
+
+        const cells = weekdays.map(day => `<div class="calendar-weekday">${day}</div>`);
+
+        for (let i = 0; i < firstWeekday; i++) {
+            cells.push('<div class="calendar-day empty"></div>');
+        }
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = formatDate(new Date(year, month - 1, day));
+            const result = history[date];
+            const classes = ['calendar-day'];
+
+            if (date === today) classes.push('today');
+            if (result) {
+                classes.push('done');
+                if (result.correctAnswers === result.totalQuestions) classes.push('perfect');
+            }
+
+            const title = result
+                ? t('{correct}/{total}問正解・{score}pt', {
+                    correct: result.correctAnswers,
+                    total: result.totalQuestions,
+                    score: result.score
+                })
+                : '';
+
+            cells.push(`
+                <div class="${classes.join(' ')}" title="${title}">
+                    <span>${day}</span>
+                    ${result ? `<span class="calendar-day-score">${result.correctAnswers}/${result.totalQuestions}</span>` : ''}
+                </div>
+            `);
+        }
+
+        document.getElementById('daily-calendar').innerHTML = cells.join('');
+    }
+
+    /**
+     * Start daily challenge
+     */
+    startDailyChallenge() {
+        if (quiz.startDailyChallenge()) {
+            this.showScreen('quiz-screen');
+            this.displayQuestion();
+        }
+    }
+
+    /**
+     * Show custom quiz screen
+     */
+    showCustomQuiz() {
+        const categories = [...new Set(this.figures.map(f => f.category))];
+        document.getElementById('custom-category-list').innerHTML = categories.map(category => `
+            <label class="chip">
+                <input type="checkbox" value="${escapeHtml(category)}">
+                <span>${this.getCategoryName(category)}</span>
+            </label>
+        `).join('');
+
+        const countries = [...new Set(this.figures.flatMap(f => f.countries || []))]
+            .sort((a, b) => i18n.compare(this.getCountryName(a), this.getCountryName(b)));
+        document.getElementById('custom-country-list').innerHTML = countries.map(code => `
+            <label class="chip">
+                <input type="checkbox" value="${escapeHtml(code)}">
+                <span>${escapeHtml(this.getCountryName(code))}</span>
+            </label>
+        `).join('');
+
+        this.displayCustomFigures([]);
+        this.displayQuizPresets();
+        document.getElementById('custom-preset-name').value = '';
+        document.getElementById('custom-preset-error').textContent = '';
+        this.updateCustomQuizSummary();
+        this.showScreen('custom-quiz-screen');
+    }
+
+    /**
+     * Display figures of the selected categories and countries as choices
+     * @param {Array<string>} selectedIds - Figure IDs to keep checked
+     */
+    displayCustomFigures(selectedIds) {
+        const { categories, countries } = this.getCustomQuizOptions();
+        const figures = this.figures.filter(f =>
+            (categories.length === 0 || categories.includes(f.category)) &&
+            (countries.length === 0 || (f.countries || []).some(code => countries.includes(code)))
+        );
+
+        document.getElementById('custom-figure-list').innerHTML = figures.map(figure => `
+            <label class="chip">
+                <input type="checkbox" value="${escapeHtml(figure.id)}" ${selectedIds.includes(figure.id) ? 'checked' : ''}>
+                <span>${escapeHtml(figure.name)}</span>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Read custom quiz options from the form
+     * @returns {Object} Custom quiz options
+     */
+    getCustomQuizOptions() {
+        const checked = listId => [...document.querySelectorAll(`#${listId} input:checked`)].map(input => input.value);
+
+        return {
+            categories: checked('custom-category-list'),
+            countries: checked('custom-country-list'),
+            figureIds: checked('custom-figure-list'),
+            difficulties: checked('custom-difficulty-list'),
+            questionCount: Number(document.getElementById('custom-question-count').value)
+        };
+    }
+
+    /**
+     * Fill the form with custom quiz options
+     * @param {Object} options - Custom quiz options
+     */
+    setCustomQuizOptions(options) {
+        const check = (listId, values) => {
+            document.querySelectorAll(`#${listId} input`).forEach(input => {
+                input.checked = values.includes(input.value);
+            });
+        };
+
+        check('custom-category-list', options.categories);
+        check('custom-country-list', options.countries);
+        this.displayCustomFigures(options.figureIds);
+        check('custom-difficulty-list', options.difficulties);
+        document.getElementById('custom-question-count').value = options.questionCount;
+        this.updateCustomQuizSummary();
+    }
+
+    /**
+     * Show how many questions match the current options
+     */
+    updateCustomQuizSummary() {
+        const options = this.getCustomQuizOptions();
+        const available = quiz.getCustomQuestionPool(options).length;
+        const count = Math.min(available, options.questionCount);
+
+        document.getElementById('custom-quiz-summary').textContent = available > 0
+            ? t('対象の問題: {available}問（{count}問出題）', { available, count })
+            : t('条件に合う問題がありません。条件を広げてください。');
+        document.getElementById('btn-start-custom-quiz').disabled = available === 0;
+    }
+
+    /**
+     * Display saved presets in the preset selector
+     * @param {string} [selectedId] - Preset to select
+     */
+    displayQuizPresets(selectedId = '') {
+        const select = document.getElementById('custom-preset-select');
+        select.innerHTML = `<option value="">${t('プリセットを選択')}</option>` +
+            storage.getQuizPresets().map(preset =>
+                `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>`
+            ).join('');
+        select.value = selectedId;
+        document.getElementById('btn-delete-preset').disabled = !selectedId;
+    }
+
+    /**
+     * Load a preset into the form
+     * @param {string} presetId - Preset ID (empty to clear the selection)
+     */
+    loadQuizPreset(presetId) {
+        const preset = storage.getQuizPresets().find(p => p.id === presetId);
+        document.getElementById('btn-delete-preset').disabled = !preset;
+        if (!preset) return;
+
+        this.setCustomQuizOptions(preset);
+        document.getElementById('custom-preset-name').value = preset.name;
+    }
+
+    /**
+     * Save the current options as a named preset
+     */
+    saveQuizPreset() {
+        const name = document.getElementById('custom-preset-name').value.trim();
+        const error = document.getElementById('custom-preset-error');
+
+        if (!name) {
+            error.textContent = t('プリセット名を入力してください。');
+            return;
+        }
+
+        const preset = storage.saveQuizPreset(name, this.getCustomQuizOptions());
+        error.textContent = '';
+        this.displayQuizPresets(preset.id);
+    }
+
+    /**
+     * Delete the selected preset after confirmation
+     */
+    deleteQuizPreset() {
+        const presetId = document.getElementById('custom-preset-select').value;
+        const preset = storage.getQuizPresets().find(p => p.id === presetId);
+        if (!preset || !confirm(t('プリセット「{name}」を削除しますか？', { name: preset.name }))) return;
+
+        storage.deleteQuizPreset(presetId);
+        document.getElementById('custom-preset-name').value = '';
+        this.displayQuizPresets();
+    }
+
+    /**
+     * Start a quiz with the current custom options
+     */
+    startCustomQuiz() {
+        if (quiz.startCustomQuiz(this.getCustomQuizOptions())) {
+            this.showScreen('quiz-screen');
+            this.displayQuestion();
+        }
+    }
+
+    /**
+     * Show settings screen
+     */
+    showSettings() {
+        document.getElementById('mastery-accuracy-select').value = storage.getSetting('masteryMinAccuracy');
+        document.getElementById('language-select').value = i18n.language;
+        document.getElementById('reduced-motion-checkbox').checked = storage.getSetting('reducedMotion');
+        this.displayContentPacks();
+        this.cancelImport();
+        this.showScreen('settings-screen');
+    }
+
+    /**
+     * Turn animations off when the active profile asks for it.
+     * The device setting (prefers-reduced-motion) is followed by the CSS itself.
+     */
+    applyMotionSetting() {
+        document.documentElement.classList.toggle('reduced-motion', storage.getSetting('reducedMotion'));
+    }
+
+    /**
+     * Save the language of the active profile and reload to show everything in it.
+     * Figures, questions and badges are read in the selected language when the app starts.
+     * @param {string} language - Language code
+     * @returns {Promise<void>}
+     */
+    async changeLanguage(language) {
+        if (language === i18n.language) return;
+
+        storage.updateSetting('language', language);
+        await storage.flush();
+        window.location.reload();
+    }
+
+    /**
+     * List the content packs with a checkbox each; imported packs can be removed
+     */
+    displayContentPacks() {
+        const list = document.getElementById('pack-list');
+        const packs = contentPacks.getPacks();
+        const enabled = storage.getSetting('enabledPacks');
+
+        if (packs.length === 0) {
+            list.innerHTML = `<li class="empty-message">${t('使えるパックがありません。')}</li>`;
+            return;
+        }
+
+        list.innerHTML = packs.map(pack => `
+            <li class="pack-item">
+                <label class="import-mode-option">
+                    <input type="checkbox" class="pack-checkbox" value="${escapeHtml(pack.id)}"
+                        ${enabled.includes(pack.id) ? 'checked' : ''}>
+                    <span class="pack-info">
+                        <span class="pack-name">${escapeHtml(pack.name)}</span>
+                        ${pack.imported ? `<span class="pack-tag">${t('読み込んだパック')}</span>` : ''}
+                        <span class="pack-description">${escapeHtml(pack.description)}</span>
+                    </span>
+                </label>
+                ${pack.imported ? `
+                    <button class="btn-secondary btn-remove-pack" data-pack-id="${escapeHtml(pack.id)}">${t('削除')}</button>
+                ` : ''}
+            </li>
+        `).join('');
+    }
 
-        // Update user status
-        this.updateUserStatus();
+    /**
+     * Turn a content pack on or off for the active profile and reload to apply it
+     * @param {string} packId - Pack ID
+     * @param {boolean} enabled - Whether the pack is used
+     * @returns {Promise<void>}
+     */
+    async setPackEnabled(packId, enabled) {
+        const packIds = storage.getSetting('enabledPacks').filter(id => id !== packId);
+        if (enabled) {
+            packIds.push(packId);
+        }
+
+        storage.updateSetting('enabledPacks', packIds);
+        await storage.flush();
+        window.location.reload();
     }
 
     /**
-     * Close results modal
+     * Read a content pack file, keep it and offer to turn it on
+     * @param {File} file - Selected file
+     * @returns {Promise<void>}
      */
-    closeResultsModal() {
-        const modal = document.getElementById('results-modal');
-        modal.classList.remove('active');
+    async importContentPack(file) {
+        if (!file) return;
+        document.getElementById('pack-file-input').value = '';
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Error reading pack file:', error);
+            alert(t('ファイルを読み込めませんでした。'));
+            return;
+        }
+
+        const { pack, errors } = contentPacks.parsePack(text, this.figures.map(figure => figure.id));
+        if (!pack) {
+            this.showReport(
+                t('パックを読み込めませんでした'),
+                t('「{file}」はコンテンツパックとして読み込めません。', { file: file.name }),
+                { errors, repairs: [] }
+            );
+            return;
+        }
+
+        const name = i18n.localize(pack).name;
+        if (contentPacks.importedPacks[pack.id] &&
+            !confirm(t('読み込み済みのパック「{name}」を置き換えますか？', { name }))) {
+            return;
+        }
+
+        try {
+            await contentPacks.addImportedPack(pack);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        if (storage.getSetting('enabledPacks').includes(pack.id)) {
+            await storage.flush();
+            window.location.reload();
+        } else if (confirm(t('パック「{name}」を読み込みました。このプロフィールで使いますか？', { name }))) {
+            await this.setPackEnabled(pack.id, true);
+        } else {
+            this.displayContentPacks();
+        }
     }
 
     /**
-     * Show encyclopedia screen
+     * Remove an imported content pack after confirmation
+     * @param {string} packId - Pack ID
+     * @returns {Promise<void>}
      */
-    showEncyclopedia() {
-        this.showScreen('encyclopedia-screen');
-        this.displayFigures();
+    async removeContentPack(packId) {
+        const pack = contentPacks.getPacks().find(p => p.id === packId);
+        if (!pack || !confirm(t('パック「{name}」を削除しますか？すべてのプロフィールで使えなくなります。', { name: pack.name }))) {
+            return;
+        }
+
+        try {
+            await contentPacks.removeImportedPack(packId);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        if (contentPacks.loadedPackIds.includes(packId)) {
+            await this.setPackEnabled(packId, false);
+        } else {
+            this.displayContentPacks();
+        }
     }
 
     /**
-     * Display figures in encyclopedia
-     * @param {Array} figuresToDisplay - Figures to display (optional)
+     * Download the active profile's data as a timestamped JSON file
      */
-    displayFigures(figuresToDisplay = null) {
-        const figures = figuresToDisplay || this.figures;
-        const grid = document.getElementById('figures-grid');
-        grid.innerHTML = '';
+    exportData() {
+        const now = new Date();
+        const date = formatDate(now).replace(/-/g, '');
+        const time = [now.getHours(), now.getMinutes(), now.getSeconds()]
+            .map(value => String(value).padStart(2, '0'))
+            .join('');
+
+        downloadFile(`great-figures-backup-${date}-${time}.json`, storage.exportData());
+        debug('User data exported');
+    }
 
-        figures.forEach(figure => {
-            const isUnlocked = this.userData.unlockedFigures.includes(figure.id);
-            const card = this.createFigureCard(figure, isUnlocked);
-            grid.appendChild(card);
-        });
+    /**
+     * Get the selected import mode
+     * @returns {string} 'replace' or 'merge'
+     */
+    getImportMode() {
+        return document.querySelector('input[name="import-mode"]:checked').value;
     }
 
     /**
-     * Create a figure card element
-     * @param {Object} figure - Figure data
-     * @param {boolean} isUnlocked - Whether figure is unlocked
-     * @returns {HTMLElement} Figure card element
+     * Read a backup file chosen in the file picker and preview it
+     * @param {File} file - Selected file
+     * @returns {Promise<void>}
      */
-    createFigureCard(figure, isUnlocked) {
-        const card = document.createElement('div');
-        card.className = `figure-card ${isUnlocked ? '' : 'locked'}`;
+    async loadImportFile(file) {
+        if (!file) return;
 
-        if (isUnlocked) {
-            card.addEventListener('click', () => this.showFigureDetail(figure));
+        try {
+            this.importFile = { name: file.name, text: await file.text() };
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            alert(t('ファイルを読み込めませんでした。'));
+            return;
         }
 
-        card.innerHTML = `
-            <img class="figure-portrait" src="${isUnlocked ? figure.portrait : 'images/portraits/locked.png'}" 
-                 alt="${isUnlocked ? figure.name : '???'}" 
-                 onerror="this.src='images/portraits/placeholder.png'">
-            <div class="figure-card-content">
-                <div class="figure-name">${isUnlocked ? figure.name : '???'}</div>
-                <div class="figure-category-badge">${this.getCategoryName(figure.category)}</div>
-            </div>
-        `;
+        this.previewImport();
+    }
 
-        return card;
+    /**
+     * Show what the selected backup file would change
+     */
+    previewImport() {
+        if (!this.importFile) return;
+
+        const mode = this.getImportMode();
+        const preview = storage.previewImport(this.importFile.text, mode);
+
+        if (!preview.report.valid) {
+            this.cancelImport();
+            this.showReport(
+                t('ファイルを読み込めませんでした'),
+                t('「{file}」はこのアプリのバックアップとして読み込めません。データは変更されていません。', {
+                    file: this.importFile.name
+                }),
+                preview.report
+            );
+            return;
+        }
+
+        this.pendingImport = preview;
+
+        const messages = mode === 'merge'
+            ? ['「{file}」を統合すると、次の項目が変わります。', '「{file}」を統合しても、変わる項目はありません。']
+            : ['「{file}」を上書きすると、次の項目が変わります。', '「{file}」を上書きしても、変わる項目はありません。'];
+        document.getElementById('import-preview-message').textContent =
+            t(messages[preview.changes.length > 0 ? 0 : 1], { file: this.importFile.name });
+
+        const lines = [
+            ...preview.changes.map(change => ({
+                text: this.formatImportChange(change),
+                className: ''
+            })),
+            ...preview.notes.map(note => ({ text: t(note), className: 'report-note' })),
+            ...userDataSchema.formatReport(preview.report).map(text => ({ text, className: 'report-note' }))
+        ];
+        document.getElementById('import-preview-list').innerHTML = lines.map(line =>
+            `<li class="${line.className}">${escapeHtml(line.text)}</li>`
+        ).join('');
+
+        showElement(document.getElementById('import-preview'));
     }
 
     /**
-     * Get category name in Japanese
-     * @param {string} category - Category ID
-     * @returns {string} Category name
+     * Format a changed item for the import preview
+     * @param {Object} change - Item from storage.summarizeChanges()
+     * @returns {string} Display text
      */
-    getCategoryName(category) {
-        const names = {
-            scientist: '科学者',
-            artist: '芸術家',
-            politician: '政治家',
-            inventor: '発明家',
-            philosopher: '思想家',
-            explorer: '探検家'
-        };
-        return names[category] || category;
+    formatImportChange(change) {
+        const before = t(change.format, { count: change.before });
+        const after = t(change.format, { count: change.after });
+        let text = `${t(change.label)}: ${before} → ${after}`;
+        if (change.added !== undefined) {
+            const details = [];
+            if (change.added > 0) details.push(`+${change.added}`);
+            if (change.removed > 0) details.push(`-${change.removed}`);
+            text += t('（{details}）', { details: details.join(' / ') });
+        }
+        return text;
     }
 
     /**
-     * Show figure detail modal
-     * @param {Object} figure - Figure data
+     * Apply the previewed import. A replaced profile may use another language
+     * or other content packs, so the app is then reloaded like after switching profiles.
+     * @returns {Promise<void>}
      */
-    showFigureDetail(figure) {
-        document.getElementById('detail-portrait').src = figure.portrait;
-        document.getElementById('detail-name').textContent = figure.name;
-        document.getElementById('detail-dates').textContent = `${figure.birth} - ${figure.death}`;
-        document.getElementById('detail-country').textContent = figure.country;
-        document.getElementById('detail-category').textContent = this.getCategoryName(figure.category);
+    async applyImport() {
+        if (!this.pendingImport) return;
+
+        const { data, report } = this.pendingImport;
+        await storage.applyImport(data);
+        this.cancelImport();
+
+        if (!this.matchesProfileSettings()) {
+            alert(t('バックアップを読み込みました。バックアップの言語とコンテンツパックで表示するため、再読み込みします。'));
+            window.location.reload();
+            return;
+        }
 
-        const achievementsList = document.getElementById('detail-achievements');
-        achievementsList.innerHTML = figure.achievements.map(a => `<li>${a}</li>`).join('');
+        this.applyMotionSetting();
+        this.updateUserStatus();
+        this.showSettings();
+
+        this.showReport(
+            t('データを読み込みました'),
+            report.repairs.length > 0
+                ? t('バックアップを読み込みました。次の項目は修復してから読み込んでいます。')
+                : t('バックアップを読み込みました。'),
+            report
+        );
+    }
 
-        const quotesDiv = document.getElementById('detail-quotes');
-        quotesDiv.innerHTML = figure.quotes.map(q => `<p>"${q}"</p>`).join('');
+    /**
+     * Discard the selected backup file and hide the preview
+     */
+    cancelImport() {
+        this.importFile = null;
+        this.pendingImport = null;
+        document.getElementById('import-file-input').value = '';
+        hideElement(document.getElementById('import-preview'));
+    }
 
-        document.getElementById('detail-description').textContent = figure.description;
+    /**
+     * Show the question editor
+     */
+    showEditor() {
+        this.closeEditorForms();
+        this.displayEditor();
+        this.showScreen('editor-screen');
+    }
 
-        const modal = document.getElementById('figure-detail-modal');
-        modal.classList.add('active');
+    /**
+     * Show the editor's pack with its figures and questions
+     */
+    displayEditor() {
+        const figures = contentEditor.getFigures();
+        const questions = contentEditor.getQuestions();
+        const saved = Boolean(contentPacks.importedPacks[EDITOR_PACK_ID]);
+        const enabled = storage.getSetting('enabledPacks').includes(EDITOR_PACK_ID);
+
+        document.getElementById('editor-summary').textContent =
+            t('偉人{figures}人・問題{questions}問', { figures: figures.length, questions: questions.length });
+        const checkbox = document.getElementById('editor-pack-checkbox');
+        checkbox.checked = enabled;
+        checkbox.disabled = !saved;
+        document.getElementById('btn-export-editor-pack').disabled = !saved;
+
+        // Figures and questions are loaded when the app starts
+        document.getElementById('editor-reload').style.display = this.editorChanged && enabled ? '' : 'none';
+
+        document.getElementById('editor-figure-list').innerHTML = figures.length > 0
+            ? figures.map(figure => this.createEditorItem(
+                figure.id,
+                figure.name,
+                this.getCategoryName(figure.category)
+            )).join('')
+            : `<li class="empty-message">${t('まだ偉人がいません。')}</li>`;
+
+        const figureNames = {};
+        this.figures.forEach(figure => {
+            figureNames[figure.id] = figure.name;
+        });
+        figures.forEach(figure => {
+            figureNames[figure.id] = figure.name;
+        });
+        document.getElementById('editor-question-list').innerHTML = questions.length > 0
+            ? questions.map(question => this.createEditorItem(
+                question.id,
+                question.question,
+                `${figureNames[question.figureId] || question.figureId}・${this.getDifficultyName(question.difficulty)}`
+            )).join('')
+            : `<li class="empty-message">${t('まだ問題がありません。')}</li>`;
     }
 
     /**
-     * Close figure detail modal
+     * Create a list item of the editor with edit and delete buttons
+     * @param {string} id - Figure or question ID
+     * @param {string} name - Main text
+     * @param {string} description - Secondary text
+     * @returns {string} HTML string
      */
-    closeFigureDetailModal() {
-        const modal = document.getElementById('figure-detail-modal');
-        modal.classList.remove('active');
+    createEditorItem(id, name, description) {
+        return `
+            <li class="pack-item">
+                <span class="pack-info">
+                    <span class="pack-name">${escapeHtml(name)}</span>
+                    <span class="pack-description">${escapeHtml(description)}</span>
+                </span>
+                <span class="editor-item-actions">
+                    <button class="btn-secondary btn-editor-action" data-action="edit" data-id="${escapeHtml(id)}">${t('編集')}</button>
+                    <button class="btn-secondary btn-editor-action" data-action="delete" data-id="${escapeHtml(id)}">${t('削除')}</button>
+                </span>
+            </li>
+        `;
     }
 
     /**
-     * Filter figures by category
-     * @param {string} category - Category to filter
+     * Hide the figure and question forms
      */
-    filterFigures(category) {
-        if (category === 'all') {
-            this.displayFigures();
-        } else {
-            const filtered = this.figures.filter(f => f.category === category);
-            this.displayFigures(filtered);
+    closeEditorForms() {
+        this.editingFigureId = null;
+        this.editingQuestionId = null;
+        hideElement(document.getElementById('editor-figure-panel'));
+        hideElement(document.getElementById('editor-question-panel'));
+    }
+
+    /**
+     * Get the IDs of the figures in use, which the editor's questions may refer to
+     * @returns {Array<string>} Figure IDs
+     */
+    getEditorKnownFigureIds() {
+        return this.figures.map(figure => figure.id);
+    }
+
+    /**
+     * Split the text of a field into its non-empty lines
+     * @param {string} text - Field value
+     * @returns {Array<string>} Trimmed lines
+     */
+    readLines(text) {
+        return text.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * Show the problems found in a form
+     * @param {string} listId - ID of the list element
+     * @param {Object} issues - { errors, warnings } from contentEditor
+     */
+    displayEditorIssues(listId, issues) {
+        document.getElementById(listId).innerHTML = [
+            ...issues.errors.map(message => `<li class="report-error">${escapeHtml(message)}</li>`),
+            ...issues.warnings.map(message => `<li>${escapeHtml(message)}</li>`)
+        ].join('');
+    }
+
+    /**
+     * Open the figure form
+     * @param {string|null} figureId - Figure of the editor's pack, or null for a new one
+     */
+    editFigure(figureId) {
+        const figure = contentEditor.getFigures().find(f => f.id === figureId) || null;
+        this.closeEditorForms();
+        this.editingFigureId = figure ? figure.id : null;
+
+        const form = document.getElementById('editor-figure-form');
+        form.elements.category.innerHTML = Object.keys(CATEGORY_NAMES).map(category => `
+            <option value="${category}">${this.getCategoryName(category)}</option>
+        `).join('');
+        const countries = Object.keys(COUNTRY_NAMES)
+            .sort((a, b) => i18n.compare(this.getCountryName(a), this.getCountryName(b)));
+        form.elements.countryCode.innerHTML = [
+            `<option value="">${t('指定しない')}</option>`,
+            ...countries.map(code => `<option value="${code}">${escapeHtml(this.getCountryName(code))}</option>`)
+        ].join('');
+
+        const values = figure || { category: 'scientist', difficulty: 'beginner' };
+        form.elements.id.value = values.id || '';
+        form.elements.id.disabled = Boolean(figure);
+        ['name', 'nameEn', 'birth', 'death', 'description'].forEach(name => {
+            form.elements[name].value = values[name] || '';
+        });
+        form.elements.category.value = values.category;
+        form.elements.countryCode.value = (values.countries || [])[0] || '';
+        form.elements.difficulty.value = values.difficulty || 'beginner';
+        form.elements.achievements.value = (values.achievements || []).join('\n');
+        form.elements.quotes.value = (values.quotes || []).join('\n');
+
+        document.getElementById('editor-figure-title').textContent = figure ? t('偉人を編集') : t('偉人を追加');
+        const panel = document.getElementById('editor-figure-panel');
+        showElement(panel);
+        this.updateFigurePreview();
+        scrollToElement(panel);
+        form.elements[figure ? 'name' : 'id'].focus({ preventScroll: true });
+    }
+
+    /**
+     * Build a figure from the figure form. Fields the form does not show
+     * (portrait, relations...) are kept from the figure being edited.
+     * @returns {Object} Figure
+     */
+    readFigureForm() {
+        const form = document.getElementById('editor-figure-form');
+        const value = name => form.elements[name].value.trim();
+        const original = contentEditor.getFigures().find(f => f.id === this.editingFigureId);
+
+        // A figure of several countries keeps them while the first one is unchanged
+        const code = value('countryCode');
+        const keepCountries = original && (original.countries || [])[0] === (code || undefined);
+        const figure = {
+            ...original,
+            id: this.editingFigureId || value('id'),
+            name: value('name'),
+            nameEn: value('nameEn') || undefined,
+            birth: value('birth'),
+            death: value('death') || undefined,
+            country: keepCountries ? original.country : COUNTRY_NAMES[code],
+            countries: keepCountries ? original.countries : (code ? [code] : undefined),
+            category: value('category'),
+            portrait: (original && original.portrait) || 'images/portraits/placeholder.png',
+            achievements: this.readLines(form.elements.achievements.value),
+            quotes: this.readLines(form.elements.quotes.value),
+            difficulty: value('difficulty'),
+            description: value('description') || undefined,
+            translations: undefined
+        };
+        Object.keys(figure).forEach(key => {
+            if (figure[key] === undefined) delete figure[key];
+        });
+        return contentEditor.keepTranslations(original, figure);
+    }
+
+    /**
+     * Show the figure as the encyclopedia shows it, with the problems found so far
+     */
+    updateFigurePreview() {
+        const figure = this.readFigureForm();
+        const preview = document.getElementById('editor-figure-preview');
+        preview.innerHTML = '';
+        preview.appendChild(this.createFigureCard(figure, true));
+
+        this.displayEditorIssues('editor-figure-issues', contentEditor.checkEntry(
+            'figures', figure, this.editingFigureId, this.getEditorKnownFigureIds()
+        ));
+    }
+
+    /**
+     * Save the figure form
+     * @returns {Promise<void>}
+     */
+    async saveEditorFigure() {
+        const saved = await this.saveEditorEntry(
+            'figures', this.readFigureForm(), this.editingFigureId, 'editor-figure-issues'
+        );
+        if (saved) {
+            this.closeEditorForms();
+            this.displayEditor();
         }
     }
 
     /**
-     * Search figures by name
-     * @param {string} query - Search query
+     * Open the question form
+     * @param {string|null} questionId - Question of the editor's pack, or null for a new one
      */
-    searchFigures(query) {
-        if (!query.trim()) {
-            this.displayFigures();
-            return;
+    editQuestion(questionId) {
+        const question = contentEditor.getQuestions().find(q => q.id === questionId) || null;
+        this.closeEditorForms();
+        this.editingQuestionId = question ? question.id : null;
+
+        // The pack's own figures first, then every other figure in use
+        const prefix = EDITOR_PACK_ID + PACK_ID_SEPARATOR;
+        const ownFigures = contentEditor.getFigures();
+        const otherFigures = this.figures
+            .filter(figure => !figure.id.startsWith(prefix))
+            .sort((a, b) => i18n.compare(a.name, b.name));
+        const toOptions = figures => figures.map(figure => `
+            <option value="${escapeHtml(figure.id)}">${escapeHtml(figure.name)}</option>
+        `).join('');
+        const form = document.getElementById('editor-question-form');
+        form.elements.figureId.innerHTML = [
+            ownFigures.length > 0 ? `<optgroup label="${t('自作の偉人')}">${toOptions(ownFigures)}</optgroup>` : '',
+            `<optgroup label="${t('そのほかの偉人')}">${toOptions(otherFigures)}</optgroup>`
+        ].join('');
+
+        const values = question || {
+            type: 'multiple_choice',
+            figureId: form.elements.figureId.value,
+            difficulty: 'beginner'
+        };
+        form.elements.type.value = values.type || 'multiple_choice';
+        form.elements.figureId.value = values.figureId;
+        if (form.elements.figureId.value !== values.figureId) {
+            // A figure of a pack that is not in use
+            form.elements.figureId.add(new Option(values.figureId, values.figureId, false, true));
         }
+        form.elements.difficulty.value = values.difficulty || 'beginner';
+        ['question', 'quote', 'explanation'].forEach(name => {
+            form.elements[name].value = values[name] || '';
+        });
+        form.elements.options.value = (values.options || []).join('\n');
+        this.updateCorrectOptions();
+        form.elements.correctOption.value = Number.isInteger(values.correctAnswer) ? values.correctAnswer : 0;
+        form.elements.correctBoolean.value = String(values.correctAnswer !== false);
+        form.elements.items.value = (values.items || []).join('\n');
+        form.elements.pairsLeft.value = (values.pairs || []).map(pair => pair.left).join('\n');
+        form.elements.pairsRight.value = (values.pairs || []).map(pair => pair.right).join('\n');
+        form.elements.acceptedAnswers.value = (values.acceptedAnswers || []).join('\n');
+        this.updateQuestionFields();
+
+        document.getElementById('editor-question-title').textContent = question ? t('問題を編集') : t('問題を追加');
+        const panel = document.getElementById('editor-question-panel');
+        showElement(panel);
+        this.updateQuestionPreview();
+        scrollToElement(panel);
+        form.elements.question.focus({ preventScroll: true });
+    }
 
-        const filtered = this.figures.filter(f =>
-            f.name.toLowerCase().includes(query.toLowerCase()) ||
-            f.nameEn.toLowerCase().includes(query.toLowerCase())
-        );
-        this.displayFigures(filtered);
+    /**
+     * Show only the fields of the selected question type
+     */
+    updateQuestionFields() {
+        const form = document.getElementById('editor-question-form');
+        const type = form.elements.type.value;
+        form.querySelectorAll('[data-types]').forEach(field => {
+            field.style.display = field.dataset.types.split(' ').includes(type) ? '' : 'none';
+        });
     }
 
     /**
-     * Show statistics screen
+     * List the entered options as choices for the correct answer
      */
-    showStatistics() {
-        this.showScreen('statistics-screen');
-        this.displayStatistics();
+    updateCorrectOptions() {
+        const form = document.getElementById('editor-question-form');
+        const select = form.elements.correctOption;
+        const selected = select.value;
+        const options = this.readLines(form.elements.options.value);
+
+        select.innerHTML = options.map((option, index) => `
+            <option value="${index}">${index + 1}. ${escapeHtml(option)}</option>
+        `).join('');
+        if (Number(selected) < options.length) {
+            select.value = selected;
+        }
     }
 
     /**
-     * Display statistics
+     * Build a question from the question form, with the fields of its type
+     * @returns {Object} Question
      */
-    displayStatistics() {
-        // Update overall stats
-        document.getElementById('stat-accuracy').textContent =
-            `${this.userData.statistics.accuracyRate}%`;
-        document.getElementById('stat-figures-learned').textContent =
-            this.userData.unlockedFigures.length;
-        document.getElementById('stat-total-questions').textContent =
-            this.userData.statistics.totalQuestions;
+    readQuestionForm() {
+        const form = document.getElementById('editor-question-form');
+        const value = name => form.elements[name].value.trim();
+        const original = contentEditor.getQuestions().find(q => q.id === this.editingQuestionId);
+        const type = value('type');
+
+        const question = {
+            id: this.editingQuestionId || contentEditor.createQuestionId(),
+            figureId: value('figureId'),
+            type,
+            difficulty: value('difficulty'),
+            question: value('question')
+        };
+        if (type === 'quote') {
+            question.quote = value('quote');
+        }
+        if (type === 'multiple_choice' || type === 'quote') {
+            question.options = this.readLines(form.elements.options.value);
+            question.correctAnswer = Number(form.elements.correctOption.value);
+        } else if (type === 'true_false') {
+            question.correctAnswer = value('correctBoolean') === 'true';
+        } else if (type === 'ordering') {
+            question.items = this.readLines(form.elements.items.value);
+        } else if (type === 'matching') {
+            const lefts = this.readLines(form.elements.pairsLeft.value);
+            const rights = this.readLines(form.elements.pairsRight.value);
+            question.pairs = Array.from({ length: Math.max(lefts.length, rights.length) }, (_, index) => ({
+                left: lefts[index] || '',
+                right: rights[index] || ''
+            }));
+        } else if (type === 'free_text') {
+            question.acceptedAnswers = this.readLines(form.elements.acceptedAnswers.value);
+        }
+        if (value('explanation')) {
+            question.explanation = value('explanation');
+        }
+        return contentEditor.keepTranslations(original, question);
+    }
 
-        // Display badges
-        this.displayBadges();
+    /**
+     * Show the question as the quiz shows it, with the problems found so far.
+     * The preview can be answered to try the correct answer.
+     */
+    updateQuestionPreview() {
+        const question = this.readQuestionForm();
+        this.displayEditorIssues('editor-question-issues', contentEditor.checkEntry(
+            'questions', question, this.editingQuestionId, this.getEditorKnownFigureIds()
+        ));
+
+        hideElement(document.getElementById('editor-preview-result'));
+        hideElement(document.getElementById('editor-preview-answer'));
+        const textElement = document.getElementById('editor-preview-question');
+        const optionsContainer = document.getElementById('editor-preview-options');
+
+        // Answer controls need the fields of the type
+        if (questionTypes.validate(question).length > 0) {
+            textElement.textContent = question.question;
+            optionsContainer.innerHTML =
+                `<p class="empty-message">${t('正解と選択肢を入力すると、ここに解答欄が表示されます。')}</p>`;
+            return;
+        }
+        // The preview is redrawn while typing in the form, which keeps the focus
+        this.renderQuestion(question, textElement, optionsContainer, answer => {
+            this.showPreviewResult(question, answer);
+        }, { autofocus: false });
+    }
 
-        // Display category stats
-        this.displayCategoryStats();
+    /**
+     * Show whether an answer given in the preview is correct
+     * @param {Object} question - Previewed question
+     * @param {*} answer - Answer
+     */
+    showPreviewResult(question, answer) {
+        const isCorrect = questionTypes.check(question, answer);
+        questionTypes.showResult(question, document.getElementById('editor-preview-options'), answer, isCorrect);
+
+        const result = document.getElementById('editor-preview-result');
+        result.textContent = isCorrect ? t('✓ 正解！') : t('✗ 不正解');
+        result.className = `feedback-result ${isCorrect ? 'correct' : 'incorrect'}`;
+        showElement(result);
+
+        const correctAnswer = document.getElementById('editor-preview-answer');
+        correctAnswer.textContent = t('正解: {answer}', { answer: questionTypes.formatAnswer(question) });
+        if (isCorrect) {
+            hideElement(correctAnswer);
+        } else {
+            showElement(correctAnswer);
+        }
+        announce([result.textContent, isCorrect ? '' : correctAnswer.textContent].filter(Boolean).join(' '));
     }
 
     /**
-     * Display badges
+     * Save the question form
+     * @returns {Promise<void>}
      */
-    displayBadges() {
-        const badgesGrid = document.getElementById('badges-grid');
-        const allBadges = gamification.getAllBadges();
+    async saveEditorQuestion() {
+        const saved = await this.saveEditorEntry(
+            'questions', this.readQuestionForm(), this.editingQuestionId, 'editor-question-issues'
+        );
+        if (saved) {
+            this.closeEditorForms();
+            this.displayEditor();
+        }
+    }
 
-        badgesGrid.innerHTML = allBadges.map(badge => `
-            <div class="badge-item ${badge.unlocked ? '' : 'locked'}">
-                <div class="badge-icon">${badge.icon}</div>
-                <div class="badge-name">${badge.name}</div>
-            </div>
-        `).join('');
+    /**
+     * Save a figure or question of the editor's pack, showing the errors
+     * that keep it from being saved
+     * @param {string} field - 'figures' or 'questions'
+     * @param {Object} entry - Entry from the form
+     * @param {string|null} originalId - ID of the entry being edited; null for a new one
+     * @param {string} issueListId - ID of the form's problem list
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveEditorEntry(field, entry, originalId, issueListId) {
+        let errors;
+        try {
+            errors = await contentEditor.saveEntry(field, entry, originalId, this.getEditorKnownFigureIds());
+        } catch (error) {
+            alert(error.message);
+            return false;
+        }
+
+        if (errors.length > 0) {
+            this.displayEditorIssues(issueListId, { errors, warnings: [] });
+            announce(t('エラーを直してから保存してください。'));
+            return false;
+        }
+        this.editorChanged = true;
+        return true;
     }
 
     /**
-     * Display category statistics
+     * Delete a figure or question of the editor's pack after confirmation.
+     * A figure that questions still refer to is not deleted.
+     * @param {string} field - 'figures' or 'questions'
+     * @param {string} id - Figure or question ID
+     * @returns {Promise<void>}
      */
-    displayCategoryStats() {
-        const categoryStatsList = document.getElementById('category-stats-list');
-        const categoryStats = this.userData.statistics.categoryStats;
+    async deleteEditorEntry(field, id) {
+        const entry = contentEditor.getPack()[field].find(item => item.id === id);
+        if (!entry) return;
 
-        const categories = ['scientist', 'artist', 'politician', 'inventor', 'philosopher'];
+        const name = field === 'figures' ? entry.name : entry.question;
+        if (!confirm(t('「{name}」を削除しますか？', { name }))) return;
 
-        categoryStatsList.innerHTML = categories.map(category => {
-            const stats = categoryStats[category] || { total: 0, correct: 0 };
-            const accuracy = stats.total > 0 ? calculatePercentage(stats.correct, stats.total) : 0;
+        let errors;
+        try {
+            errors = await contentEditor.saveEntry(field, null, id, this.getEditorKnownFigureIds());
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
 
-            return `
-                <div class="category-stat-item">
-                    <div class="category-stat-header">
-                        <span class="category-name">${this.getCategoryName(category)}</span>
-                        <span class="category-accuracy">${accuracy}%</span>
-                    </div>
-                    <div class="category-progress-bar">
-                        <div class="category-progress-fill" style="width: ${accuracy}%"></div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        if (errors.length > 0) {
+            this.showReport(
+                t('削除できませんでした'),
+                t('「{name}」を削除すると、次のデータがエラーになります。', { name }),
+                { errors, repairs: [] }
+            );
+            return;
+        }
+        this.editorChanged = true;
+        this.closeEditorForms();
+        this.displayEditor();
     }
 
     /**
-     * Start daily challenge
+     * Download the editor's pack as a pack file
      */
-    startDailyChallenge() {
-        // For now, just start a random difficulty quiz
-        const difficulties = ['beginner', 'intermediate', 'advanced'];
-        const randomDifficulty = getRandomElement(difficulties);
-        this.startQuiz(randomDifficulty);
+    exportEditorPack() {
+        downloadFile(`${EDITOR_PACK_ID}.json`, contentEditor.exportPack());
+        debug('Editor pack exported');
     }
 }
 
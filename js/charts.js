@@ -0,0 +1,403 @@
+// ===================================
+// Chart Rendering (SVG)
+// ===================================
+
+/**
+ * Create an SVG line chart for percentage values
+ * @param {Array<number|null>} values - Values between 0 and 100 (null for gaps)
+ * @param {Object} options - Chart options
+ * @param {Array<string>} options.labels - X-axis labels
+ * @param {number} options.width - Chart width
+ * @param {number} options.height - Chart height
+ * @returns {string} SVG markup
+ */
+function createLineChart(values, options = {}) {
+    const width = options.width || 600;
+    const height = options.height || 200;
+    const labels = options.labels || [];
+    const padding = { top: 16, right: 16, bottom: 28, left: 40 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const x = index => padding.left +
+        (values.length > 1 ? (index / (values.length - 1)) * plotWidth : plotWidth / 2);
+    const y = value => padding.top + plotHeight - (clamp(value, 0, 100) / 100) * plotHeight;
+
+    // Horizontal grid lines every 25%
+    const grid = [0, 25, 50, 75, 100].map(value => `
+        <line class="chart-grid" x1="${padding.left}" y1="${y(value)}" x2="${width - padding.right}" y2="${y(value)}"></line>
+        <text class="chart-axis-label" x="${padding.left - 8}" y="${y(value) + 4}" text-anchor="end">${value}%</text>
+    `).join('');
+
+    // Split the line at missing values
+    const segments = [];
+    let current = [];
+    values.forEach((value, index) => {
+        if (value === null || value === undefined) {
+            if (current.length > 0) segments.push(current);
+            current = [];
+        } else {
+            current.push(`${x(index)},${y(value)}`);
+        }
+    });
+    if (current.length > 0) segments.push(current);
+
+    const lines = segments.map(points =>
+        `<polyline class="chart-line" points="${points.join(' ')}"></polyline>`
+    ).join('');
+
+    const dots = values.map((value, index) => {
+        if (value === null || value === undefined) return '';
+        const title = labels[index] ? `${labels[index]}: ${value}%` : `${value}%`;
+        return `<circle class="chart-dot" cx="${x(index)}" cy="${y(value)}" r="4"><title>${title}</title></circle>`;
+    }).join('');
+
+    // Show first and last label only to avoid overlap
+    const xLabels = labels.length > 0 ? `
+        <text class="chart-axis-label" x="${x(0)}" y="${height - 8}" text-anchor="start">${labels[0]}</text>
+        <text class="chart-axis-label" x="${x(labels.length - 1)}" y="${height - 8}" text-anchor="end">${labels[labels.length - 1]}</text>
+    ` : '';
+
+    return `
+        <svg class="line-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">
+            ${grid}
+            ${lines}
+            ${dots}
+            ${xLabels}
+        </svg>
+    `;
+}
+
+/**
+ * Get the year range covered by timeline items, padded to whole decades
+ * @param {Array<Object>} items - Timeline items with `start` and `end` years
+ * @returns {Object} { min, max } years
+ */
+function getTimelineRange(items) {
+    const start = Math.min(...items.map(item => item.start));
+    const end = Math.max(...items.map(item => item.end));
+    return {
+        min: Math.floor((start - 10) / 10) * 10,
+        max: Math.ceil((end + 10) / 10) * 10
+    };
+}
+
+/**
+ * Create an SVG timeline of lifespans grouped into sections.
+ * Within a group, items share a lane when neither their bars nor their
+ * labels overlap. Negative years are BCE; the axis has no year 0 label.
+ * @param {Array<Object>} items - Items as { id, label, start, end, group, title,
+ *     image, locked, approximate }
+ * @param {Object} options - Chart options
+ * @param {Array<Object>} options.groups - Groups in display order as { id, label }
+ * @param {number} options.pixelsPerYear - Horizontal scale
+ * @returns {string} SVG markup
+ */
+function createTimelineChart(items, options = {}) {
+    if (items.length === 0) return '';
+
+    const groups = options.groups || [];
+    const pixelsPerYear = options.pixelsPerYear || 1;
+    const padding = { top: 28, right: 160, bottom: 8, left: 16 };
+    const groupHeight = 28;
+    const laneHeight = 32;
+    const barHeight = 12;
+    const avatarRadius = 11;
+
+    const range = getTimelineRange(items);
+    const x = year => padding.left + (year - range.min) * pixelsPerYear;
+    const width = x(range.max) + padding.right;
+    const labelWidth = item => avatarRadius + 8 + item.label.length * 13;
+
+    // Place items into lanes, group by group
+    let top = padding.top;
+    const sections = groups.map(group => {
+        const groupItems = items
+            .filter(item => item.group === group.id)
+            .sort((a, b) => a.start - b.start);
+        if (groupItems.length === 0) return null;
+
+        const laneEnds = [];
+        const placed = groupItems.map(item => {
+            const left = x(item.start) - avatarRadius - 4;
+            const right = x(item.end) + labelWidth(item);
+            let lane = laneEnds.findIndex(end => end <= left);
+            if (lane === -1) {
+                lane = laneEnds.length;
+                laneEnds.push(right);
+            } else {
+                laneEnds[lane] = right;
+            }
+            return { item, lane };
+        });
+
+        const section = { group, top, placed };
+        top += groupHeight + laneEnds.length * laneHeight;
+        return section;
+    }).filter(Boolean);
+    const height = top + padding.bottom;
+
+    // Year ticks at the smallest step that keeps labels apart
+    const steps = [10, 25, 50, 100, 250, 500, 1000];
+    const step = steps.find(value => value * pixelsPerYear >= 80) || steps[steps.length - 1];
+    const ticks = [];
+    for (let year = Math.ceil(range.min / step) * step; year <= range.max; year += step) {
+        if (year !== 0) ticks.push(year);
+    }
+    const axis = ticks.map(year => `
+        <line class="chart-grid" x1="${x(year)}" y1="${padding.top - 8}" x2="${x(year)}" y2="${height}"></line>
+        <text class="chart-axis-label" x="${x(year)}" y="${padding.top - 12}" text-anchor="middle">${formatYear(year)}</text>
+    `).join('');
+
+    const rows = sections.map(({ group, top: sectionTop, placed }) => {
+        const header = `
+            <line class="timeline-group-line" x1="0" y1="${sectionTop}" x2="${width}" y2="${sectionTop}"></line>
+            <text class="timeline-group-label" x="${padding.left}" y="${sectionTop + 19}">${escapeHtml(group.label)}</text>
+        `;
+
+        const bars = placed.map(({ item, lane }) => {
+            const cy = sectionTop + groupHeight + lane * laneHeight + laneHeight / 2;
+            const startX = x(item.start);
+            const barWidth = Math.max(x(item.end) - startX, 2);
+            const clipId = `timeline-clip-${item.id}`;
+
+            const avatar = item.locked
+                ? `
+                    <circle class="timeline-silhouette" cx="${startX}" cy="${cy - 3}" r="4"></circle>
+                    <path class="timeline-silhouette" d="M ${startX - 7} ${cy + 8} a 7 6 0 0 1 14 0 z"></path>
+                `
+                : `
+                    <clipPath id="${clipId}"><circle cx="${startX}" cy="${cy}" r="${avatarRadius}"></circle></clipPath>
+                    <image href="${escapeHtml(item.image)}" x="${startX - avatarRadius}" y="${cy - avatarRadius}"
+                        width="${avatarRadius * 2}" height="${avatarRadius * 2}" clip-path="url(#${clipId})"
+                        preserveAspectRatio="xMidYMid slice"
+                        onerror="this.setAttribute('href', 'images/portraits/placeholder.png')"></image>
+                `;
+
+            return `
+                <g class="timeline-item ${item.locked ? 'locked' : ''}" data-figure-id="${escapeHtml(item.id)}"
+                    ${item.locked ? '' : 'tabindex="0" role="button"'}>
+                    <title>${escapeHtml(item.title)}</title>
+                    <rect class="timeline-bar category-${escapeHtml(item.group)} ${item.approximate ? 'approximate' : ''}"
+                        x="${startX}" y="${cy - barHeight / 2}" width="${barWidth}" height="${barHeight}" rx="${barHeight / 2}"></rect>
+                    <circle class="timeline-avatar" cx="${startX}" cy="${cy}" r="${avatarRadius}"></circle>
+                    ${avatar}
+                    <text class="timeline-label" x="${startX + barWidth + 8}" y="${cy + 4}">${escapeHtml(item.label)}</text>
+                </g>
+            `;
+        }).join('');
+
+        return header + bars;
+    }).join('');
+
+    return `
+        <svg class="timeline-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+            ${axis}
+            ${rows}
+        </svg>
+    `;
+}
+
+/**
+ * Lay out graph nodes with a force-directed simulation: all nodes push each
+ * other apart, linked nodes are held at a spring length and a pull towards
+ * the centre keeps unlinked nodes in view. Overlapping nodes are then pushed
+ * apart. Nodes start on a circle, so the same graph always gets the same layout.
+ * @param {Array<string>} nodeIds - Node IDs
+ * @param {Array<Object>} edges - Edges as { source, target }
+ * @param {Object} options - Layout options
+ * @param {number} options.width - Area width
+ * @param {number} options.height - Area height
+ * @param {number} options.margin - Distance kept from the edges of the area
+ * @param {number} options.spacing - Smallest distance wanted between node centres
+ * @returns {Object} Positions as { [id]: { x, y } }
+ */
+function layoutGraph(nodeIds, edges, options = {}) {
+    const width = options.width || 600;
+    const height = options.height || 400;
+    const margin = options.margin || 40;
+    const iterations = 300;
+    const cx = width / 2;
+    const cy = height / 2;
+    const cell = Math.sqrt(((width - margin * 2) * (height - margin * 2)) / Math.max(nodeIds.length, 1));
+    const k = cell * 0.5;
+    const spacing = Math.min(options.spacing || 100, cell * 0.9);
+
+    const nodes = nodeIds.map((id, index) => {
+        const angle = (index / nodeIds.length) * Math.PI * 2;
+        return {
+            id,
+            x: cx + Math.cos(angle) * width / 4,
+            y: cy + Math.sin(angle) * height / 4
+        };
+    });
+    const byId = Object.fromEntries(nodes.map(node => [node.id, node]));
+    const links = edges.filter(edge => byId[edge.source] && byId[edge.target]);
+    const keepInside = node => {
+        node.x = clamp(node.x, margin, width - margin);
+        node.y = clamp(node.y, margin, height - margin);
+    };
+
+    for (let step = 0; step < iterations; step++) {
+        const temperature = (width / 20) * (1 - step / iterations);
+        nodes.forEach(node => {
+            node.dx = (cx - node.x) * 2;
+            node.dy = (cy - node.y) * 2;
+        });
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = nodes[i];
+                const b = nodes[j];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 1);
+                const force = (k * k) / distance;
+                a.dx += (dx / distance) * force;
+                a.dy += (dy / distance) * force;
+                b.dx -= (dx / distance) * force;
+                b.dy -= (dy / distance) * force;
+            }
+        }
+
+        links.forEach(link => {
+            const a = byId[link.source];
+            const b = byId[link.target];
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(Math.hypot(dx, dy), 1);
+            const force = (distance - spacing * 1.2) * 2;
+            a.dx -= (dx / distance) * force;
+            a.dy -= (dy / distance) * force;
+            b.dx += (dx / distance) * force;
+            b.dy += (dy / distance) * force;
+        });
+
+        nodes.forEach(node => {
+            const length = Math.max(Math.hypot(node.dx, node.dy), 1);
+            const move = Math.min(length, temperature);
+            node.x += (node.dx / length) * move;
+            node.y += (node.dy / length) * move;
+            keepInside(node);
+        });
+    }
+
+    // Push overlapping nodes apart
+    for (let step = 0; step < 50; step++) {
+        let moved = false;
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = nodes[i];
+                const b = nodes[j];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.hypot(dx, dy);
+                if (distance >= spacing) continue;
+
+                // Nodes on the same spot are separated sideways
+                const ux = distance > 0 ? dx / distance : 1;
+                const uy = distance > 0 ? dy / distance : 0;
+                const push = (spacing - distance) / 2;
+                a.x += ux * push;
+                a.y += uy * push;
+                b.x -= ux * push;
+                b.y -= uy * push;
+                keepInside(a);
+                keepInside(b);
+                moved = true;
+            }
+        }
+        if (!moved) break;
+    }
+
+    return Object.fromEntries(nodes.map(node => [node.id, { x: node.x, y: node.y }]));
+}
+
+/**
+ * Get the end points of a graph edge, stopped at the border of both nodes
+ * so arrow heads stay visible
+ * @param {Object} from - Source position { x, y }
+ * @param {Object} to - Target position { x, y }
+ * @param {number} radius - Node radius
+ * @returns {Object} { x1, y1, x2, y2 }
+ */
+function getGraphEdgeEnds(from, to, radius) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const distance = Math.max(Math.hypot(dx, dy), 1);
+    const offset = Math.min(radius + 4, distance / 2);
+    return {
+        x1: from.x + (dx / distance) * offset,
+        y1: from.y + (dy / distance) * offset,
+        x2: to.x - (dx / distance) * offset,
+        y2: to.y - (dy / distance) * offset
+    };
+}
+
+/**
+ * Create an SVG graph of nodes with portraits joined by typed edges.
+ * Directed edge types get an arrow head at the target.
+ * @param {Array<Object>} nodes - Nodes as { id, label, title, image, group }
+ * @param {Array<Object>} edges - Edges as { source, target, type, title }
+ * @param {Object} options - Chart options
+ * @param {Object} options.positions - Node positions from layoutGraph
+ * @param {Array<string>} options.directedTypes - Edge types drawn with arrows
+ * @param {number} options.width - Chart width
+ * @param {number} options.height - Chart height
+ * @param {number} options.nodeRadius - Node radius
+ * @returns {string} SVG markup
+ */
+function createGraphChart(nodes, edges, options = {}) {
+    if (nodes.length === 0) return '';
+
+    const width = options.width || 600;
+    const height = options.height || 400;
+    const radius = options.nodeRadius || 22;
+    const positions = options.positions || {};
+    const directedTypes = options.directedTypes || [];
+
+    const markers = directedTypes.map(type => `
+        <marker id="graph-arrow-${escapeHtml(type)}" viewBox="0 0 10 10" refX="9" refY="5"
+            markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path class="graph-arrow relation-${escapeHtml(type)}" d="M 0 0 L 10 5 L 0 10 z"></path>
+        </marker>
+    `).join('');
+
+    const lines = edges.map(edge => {
+        const ends = getGraphEdgeEnds(positions[edge.source], positions[edge.target], radius);
+        const marker = directedTypes.includes(edge.type) ? `marker-end="url(#graph-arrow-${escapeHtml(edge.type)})"` : '';
+        return `
+            <line class="graph-edge relation-${escapeHtml(edge.type)}"
+                data-source="${escapeHtml(edge.source)}" data-target="${escapeHtml(edge.target)}"
+                x1="${ends.x1}" y1="${ends.y1}" x2="${ends.x2}" y2="${ends.y2}" ${marker}>
+                <title>${escapeHtml(edge.title)}</title>
+            </line>
+        `;
+    }).join('');
+
+    const circles = nodes.map(node => {
+        const position = positions[node.id];
+        const clipId = `graph-clip-${node.id}`;
+        return `
+            <g class="graph-node" data-figure-id="${escapeHtml(node.id)}"
+                transform="translate(${position.x} ${position.y})" tabindex="0" role="button">
+                <title>${escapeHtml(node.title)}</title>
+                <circle class="graph-node-ring category-${escapeHtml(node.group)}" r="${radius + 3}"></circle>
+                <clipPath id="${clipId}"><circle r="${radius}"></circle></clipPath>
+                <image href="${escapeHtml(node.image)}" x="${-radius}" y="${-radius}"
+                    width="${radius * 2}" height="${radius * 2}" clip-path="url(#${clipId})"
+                    preserveAspectRatio="xMidYMid slice"
+                    onerror="this.setAttribute('href', 'images/portraits/placeholder.png')"></image>
+                <text class="graph-label" y="${radius + 18}" text-anchor="middle">${escapeHtml(node.label)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `
+        <svg class="graph-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+            <defs>${markers}</defs>
+            ${lines}
+            ${circles}
+        </svg>
+    `;
+}
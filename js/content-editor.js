@@ -0,0 +1,180 @@
+// ===================================
+// Content Editor
+// ===================================
+
+/*
+ * Figures and questions written in the editor screen are kept as an imported
+ * content pack (EDITOR_PACK_ID), so they are stored, shared by all profiles
+ * and turned on per profile like any other pack. An exported file is a
+ * regular pack file: importing it on another device lets the editing go on
+ * there. Every change is checked by contentValidator before it is saved, so
+ * the kept pack can always be loaded.
+ */
+const EDITOR_PACK_ID = 'my-content';
+
+class ContentEditor {
+    /**
+     * Get the pack being edited; an empty pack until something is saved
+     * @returns {Object} Pack
+     */
+    getPack() {
+        return contentPacks.importedPacks[EDITOR_PACK_ID] || {
+            id: EDITOR_PACK_ID,
+            name: '自作の問題',
+            description: '問題エディターで作成した偉人と問題',
+            figures: [],
+            questions: [],
+            translations: {
+                en: {
+                    name: 'My content',
+                    description: 'Figures and questions written in the question editor'
+                }
+            }
+        };
+    }
+
+    /**
+     * Get the figures of the pack
+     * @returns {Array<Object>} Figures as written, with IDs not prefixed
+     */
+    getFigures() {
+        return this.getPack().figures;
+    }
+
+    /**
+     * Get the questions of the pack
+     * @returns {Array<Object>} Questions as written, with IDs not prefixed
+     */
+    getQuestions() {
+        return this.getPack().questions;
+    }
+
+    /**
+     * Get an unused ID for a new question ("q001", "q002"...)
+     * @returns {string} Question ID
+     */
+    createQuestionId() {
+        const ids = new Set(this.getQuestions().map(question => question.id));
+        let number = ids.size + 1;
+        while (ids.has(`q${String(number).padStart(3, '0')}`)) {
+            number++;
+        }
+        return `q${String(number).padStart(3, '0')}`;
+    }
+
+    /**
+     * Get the pack with one figure or question added, replaced or removed
+     * @param {string} field - 'figures' or 'questions'
+     * @param {Object|null} entry - Entry to save; null removes originalId
+     * @param {string|null} originalId - ID of the entry being replaced; null adds entry
+     * @returns {Object} New pack; the kept pack is not changed
+     */
+    withEntry(field, entry, originalId) {
+        const pack = this.getPack();
+        const entries = pack[field].filter(item => item.id !== originalId);
+        if (entry) {
+            const index = pack[field].findIndex(item => item.id === originalId);
+            entries.splice(index === -1 ? entries.length : index, 0, entry);
+        }
+        return { ...pack, [field]: entries };
+    }
+
+    /**
+     * Keep only the translations of fields an edit did not change;
+     * translations of changed fields would no longer match them
+     * @param {Object|undefined} original - Entry before the edit
+     * @param {Object} edited - Entry after the edit, without translations
+     * @returns {Object} Edited entry, with the translations still valid
+     */
+    keepTranslations(original, edited) {
+        if (!original || !userDataSchema.isPlainObject(original.translations)) return edited;
+
+        const translations = {};
+        Object.entries(original.translations).forEach(([language, translation]) => {
+            const kept = {};
+            Object.entries(translation).forEach(([key, value]) => {
+                if (JSON.stringify(original[key]) === JSON.stringify(edited[key])) {
+                    kept[key] = value;
+                }
+            });
+            if (Object.keys(kept).length > 0) {
+                translations[language] = kept;
+            }
+        });
+        return Object.keys(translations).length > 0 ? { ...edited, translations } : edited;
+    }
+
+    /**
+     * Check a pack the way it is checked when it is imported
+     * @param {Object} pack - Pack
+     * @param {Array<string>} knownFigureIds - IDs of the figures in use. The pack's
+     *     own figures among them are left out: they are as loaded, not as edited.
+     * @returns {Object} { errors, warnings } as display text
+     */
+    check(pack, knownFigureIds) {
+        const errors = contentPacks.validate(pack);
+        const warnings = [];
+        if (errors.length > 0) return { errors, warnings };
+
+        // Questions refer to the pack's figures without the prefix, so the IDs
+        // of figures outside the pack cannot be used again
+        const prefix = pack.id + PACK_ID_SEPARATOR;
+        pack.figures.filter(figure => knownFigureIds.includes(figure.id)).forEach(figure => {
+            errors.push(t('ID「{id}」は組み込みの偉人で使われています。', { id: figure.id }));
+        });
+
+        contentValidator.validate(contentPacks.namespace(pack, pack.id), {
+            knownFigureIds: knownFigureIds.filter(id => !id.startsWith(prefix))
+        }).issues.forEach(issue => {
+            const text = contentValidator.formatIssue({ ...issue, id: issue.id.replace(prefix, '') });
+            (issue.level === 'error' ? errors : warnings).push(text);
+        });
+        return { errors, warnings };
+    }
+
+    /**
+     * Check a figure or question as it would be saved
+     * @param {string} field - 'figures' or 'questions'
+     * @param {Object} entry - Entry from the editor form
+     * @param {string|null} originalId - ID of the entry being edited; null for a new one
+     * @param {Array<string>} knownFigureIds - IDs of the figures in use
+     * @returns {Object} { errors, warnings } as display text
+     */
+    checkEntry(field, entry, originalId, knownFigureIds) {
+        if (field === 'figures' && entry.id !== originalId && !PACK_ID_PATTERN.test(entry.id)) {
+            return { errors: [t('IDは半角英小文字・数字・ハイフンで指定してください。')], warnings: [] };
+        }
+        return this.check(this.withEntry(field, entry, originalId), knownFigureIds);
+    }
+
+    /**
+     * Save a figure or question if the pack stays valid
+     * @param {string} field - 'figures' or 'questions'
+     * @param {Object|null} entry - Entry to save; null removes originalId
+     * @param {string|null} originalId - ID of the entry being replaced; null adds entry
+     * @param {Array<string>} knownFigureIds - IDs of the figures in use
+     * @returns {Promise<Array<string>>} Errors that kept the change from being saved
+     */
+    async saveEntry(field, entry, originalId, knownFigureIds) {
+        const pack = this.withEntry(field, entry, originalId);
+        const { errors } = entry
+            ? this.checkEntry(field, entry, originalId, knownFigureIds)
+            : this.check(pack, knownFigureIds);
+        if (errors.length > 0) return errors;
+
+        await contentPacks.addImportedPack(pack);
+        debug(`Editor ${field} saved`, entry ? entry.id : `-${originalId}`);
+        return [];
+    }
+
+    /**
+     * Get the pack as the text of a pack file
+     * @returns {string} JSON
+     */
+    exportPack() {
+        return JSON.stringify(this.getPack(), null, 4);
+    }
+}
+
+// Create global instance
+const contentEditor = new ContentEditor();
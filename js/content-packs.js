@@ -0,0 +1,310 @@
+// ===================================
+// Content Pack Manager
+// ===================================
+
+/*
+ * A content pack adds figures and questions to the built-in data:
+ *   { "id": "explorers", "name": "...", "description": "...",
+ *     "figures": [...], "questions": [...], "translations": { "en": {...} } }
+ * Figures and questions use the formats of data/figures.json and
+ * data/questions.json, and their IDs only need to be unique within the pack.
+ * When a pack is loaded they are prefixed with the pack ID
+ * ("explorers:polo"), so they never collide with built-in data or other
+ * packs. A figureId naming a figure of the same pack is prefixed too; any
+ * other figureId refers to a built-in figure or, prefixed, to another pack.
+ *
+ * Packs are listed in data/packs/manifest.json or imported from a file.
+ * Imported packs are kept in storage and shared by all profiles; which packs
+ * are used is a setting of each profile (enabledPacks).
+ */
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const PACK_ID_SEPARATOR = ':';
+
+class ContentPackManager {
+    constructor() {
+        this.manifestUrl = 'data/packs/manifest.json';
+        this.storageKey = 'greatFiguresApp:packs';
+        // Packs of the manifest: { id, name, description, file, translations }
+        this.manifestPacks = [];
+        // Imported packs with their content, keyed by pack ID
+        this.importedPacks = {};
+        // IDs of the packs whose figures and questions are in use
+        this.loadedPackIds = [];
+    }
+
+    /**
+     * Load the pack manifest and the imported packs
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        try {
+            const response = await fetch(this.manifestUrl);
+            const data = await response.json();
+            this.manifestPacks = Array.isArray(data.packs) ? data.packs : [];
+        } catch (error) {
+            console.error('Error loading pack manifest:', error);
+        }
+
+        try {
+            const stored = await storage.adapter.get(this.storageKey);
+            if (userDataSchema.isPlainObject(stored)) {
+                this.importedPacks = stored;
+            }
+        } catch (error) {
+            console.error('Error loading imported packs:', error);
+        }
+
+        debug('Content packs available', this.getPacks().length);
+    }
+
+    /**
+     * Check if a pack ID belongs to a pack of the manifest
+     * @param {string} packId - Pack ID
+     * @returns {boolean} True if listed in the manifest
+     */
+    isManifestPack(packId) {
+        return this.manifestPacks.some(pack => pack.id === packId);
+    }
+
+    /**
+     * Get the available packs in the selected language.
+     * An imported pack with the ID of a manifest pack is hidden.
+     * @returns {Array<Object>} { id, name, description, imported }
+     */
+    getPacks() {
+        const summarize = (pack, imported) => {
+            const localized = i18n.localize(pack);
+            return {
+                id: pack.id,
+                name: localized.name,
+                description: localized.description || '',
+                imported
+            };
+        };
+
+        return [
+            ...this.manifestPacks.map(pack => summarize(pack, false)),
+            ...Object.values(this.importedPacks)
+                .filter(pack => !this.isManifestPack(pack.id))
+                .map(pack => summarize(pack, true))
+        ];
+    }
+
+    /**
+     * Get a pack with its figures and questions
+     * @param {string} packId - Pack ID
+     * @returns {Promise<Object|null>} Pack, or null if unknown
+     */
+    async getPackContent(packId) {
+        const listed = this.manifestPacks.find(pack => pack.id === packId);
+        if (!listed) {
+            return this.importedPacks[packId] || null;
+        }
+
+        const response = await fetch(listed.file);
+        return response.json();
+    }
+
+    /**
+     * Load the figures and questions of packs, with prefixed IDs and in the
+     * selected language. Unknown packs and packs without the pack structure
+     * are skipped; their entries are checked by contentValidator afterwards.
+     * @param {Array<string>} packIds - IDs of the enabled packs
+     * @returns {Promise<Object>} { figures, questions }
+     */
+    async loadPacks(packIds) {
+        const figures = [];
+        const questions = [];
+        this.loadedPackIds = [];
+
+        for (const packId of packIds) {
+            let pack;
+            try {
+                pack = await this.getPackContent(packId);
+            } catch (error) {
+                console.error(`Error loading content pack ${packId}:`, error);
+                continue;
+            }
+
+            if (!pack) {
+                console.warn(`Unknown content pack: ${packId}`);
+                continue;
+            }
+
+            const errors = this.validate(pack);
+            if (errors.length > 0) {
+                console.warn(`Content pack ${packId} skipped:`, errors);
+                continue;
+            }
+
+            const content = this.namespace(pack, packId);
+            figures.push(...content.figures.map(figure => i18n.localize(figure)));
+            questions.push(...content.questions.map(question => i18n.localize(question)));
+            this.loadedPackIds.push(packId);
+        }
+
+        debug('Content packs loaded', this.loadedPackIds);
+        return { figures, questions };
+    }
+
+    /**
+     * Check if the loaded packs are the given ones
+     * @param {Array<string>} packIds - Pack IDs
+     * @returns {boolean} True if the same packs are loaded
+     */
+    matchesLoaded(packIds) {
+        const available = packIds.filter(packId =>
+            this.isManifestPack(packId) || this.importedPacks[packId]
+        );
+        return available.length === this.loadedPackIds.length &&
+            available.every(packId => this.loadedPackIds.includes(packId));
+    }
+
+    /**
+     * Prefix the IDs of a pack's figures and questions with the pack ID
+     * @param {Object} pack - Pack
+     * @param {string} packId - Pack ID
+     * @returns {Object} { figures, questions }; each item has `pack` set
+     */
+    namespace(pack, packId) {
+        const prefix = packId + PACK_ID_SEPARATOR;
+        const ownIds = new Set(pack.figures.map(figure => figure.id));
+        const resolve = figureId => ownIds.has(figureId) ? prefix + figureId : figureId;
+
+        const figures = pack.figures.map(figure => {
+            const namespaced = { ...figure, id: prefix + figure.id, pack: packId };
+            if (Array.isArray(figure.relations)) {
+                namespaced.relations = figure.relations.map(relation => ({
+                    ...relation,
+                    figureId: resolve(relation.figureId)
+                }));
+            }
+            return namespaced;
+        });
+
+        const questions = pack.questions.map(question => ({
+            ...question,
+            id: prefix + question.id,
+            figureId: resolve(question.figureId),
+            pack: packId
+        }));
+
+        return { figures, questions };
+    }
+
+    /**
+     * Check the structure of a pack and the IDs that namespace() needs.
+     * The entries themselves are checked by contentValidator.
+     * @param {*} pack - Parsed pack
+     * @returns {Array<string>} Error messages; empty if the pack can be loaded
+     */
+    validate(pack) {
+        if (!userDataSchema.isPlainObject(pack)) {
+            return [t('コンテンツパックの形式ではありません。')];
+        }
+
+        const errors = [];
+        if (typeof pack.id !== 'string' || !PACK_ID_PATTERN.test(pack.id)) {
+            errors.push(t('パックIDは半角英小文字・数字・ハイフンで指定してください。'));
+        }
+        if (typeof pack.name !== 'string' || !pack.name.trim()) {
+            errors.push(t('パック名がありません。'));
+        }
+
+        ['figures', 'questions'].forEach(field => {
+            if (!Array.isArray(pack[field])) {
+                errors.push(t('「{field}」が配列ではありません。', { field }));
+            }
+        });
+        if (errors.length > 0) return errors;
+
+        const isItemId = id => typeof id === 'string' && id.length > 0 && !id.includes(PACK_ID_SEPARATOR);
+
+        const figureIds = new Set();
+        pack.figures.forEach((figure, index) => {
+            const id = userDataSchema.isPlainObject(figure) ? figure.id : undefined;
+            if (!isItemId(id) || figureIds.has(id)) {
+                errors.push(t('{index}番目の偉人のIDが空か重複しています。', { index: index + 1 }));
+                return;
+            }
+            figureIds.add(id);
+        });
+
+        const questionIds = new Set();
+        pack.questions.forEach((question, index) => {
+            const id = userDataSchema.isPlainObject(question) ? question.id : undefined;
+            if (!isItemId(id) || questionIds.has(id)) {
+                errors.push(t('{index}番目の問題のIDが空か重複しています。', { index: index + 1 }));
+                return;
+            }
+            questionIds.add(id);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Parse and check a pack file, including every figure and question in it
+     * @param {string} json - JSON string of a pack
+     * @param {Array<string>} [knownFigureIds] - Figures the pack's questions may refer to
+     * @returns {Object} { pack, errors }; pack is null if it cannot be used
+     */
+    parsePack(json, knownFigureIds = []) {
+        let pack;
+        try {
+            pack = JSON.parse(json);
+        } catch (error) {
+            return { pack: null, errors: [t('JSONとして読み込めません（{error}）。', { error: error.message })] };
+        }
+
+        const errors = this.validate(pack);
+        if (errors.length === 0) {
+            contentValidator.validate(this.namespace(pack, pack.id), { knownFigureIds }).issues
+                .filter(issue => issue.level === 'error')
+                .forEach(issue => errors.push(contentValidator.formatIssue(issue)));
+        }
+        return { pack: errors.length > 0 ? null : pack, errors };
+    }
+
+    /**
+     * Keep an imported pack, replacing an imported pack with the same ID
+     * @param {Object} pack - Valid pack
+     * @returns {Promise<void>}
+     */
+    async addImportedPack(pack) {
+        if (this.isManifestPack(pack.id)) {
+            throw new Error(t('パックID「{id}」は組み込みのパックで使われています。', { id: pack.id }));
+        }
+
+        this.importedPacks[pack.id] = pack;
+        await this.saveImportedPacks();
+        debug(`Content pack imported: ${pack.id}`);
+    }
+
+    /**
+     * Remove an imported pack. Profiles that enabled it simply skip it.
+     * @param {string} packId - Pack ID
+     * @returns {Promise<void>}
+     */
+    async removeImportedPack(packId) {
+        delete this.importedPacks[packId];
+        await this.saveImportedPacks();
+        debug(`Content pack removed: ${packId}`);
+    }
+
+    /**
+     * Save the imported packs
+     * @returns {Promise<void>}
+     */
+    async saveImportedPacks() {
+        try {
+            await storage.adapter.set(this.storageKey, this.importedPacks);
+        } catch (error) {
+            console.error('Error saving imported packs:', error);
+            throw new Error(t('パックを保存できませんでした。'));
+        }
+    }
+}
+
+// Create global instance
+const contentPacks = new ContentPackManager();
@@ -0,0 +1,351 @@
+// ===================================
+// Content Validator (Figures, Questions and Badges)
+// ===================================
+
+/*
+ * Checks figure, question and badge data before it is used: in the browser
+ * when the data loads, and from the command line for content authors
+ * (tools/validate-content.js). An entry with an error is set aside so one
+ * bad edit cannot break the quiz. A warning points at something the app
+ * already skips, such as a relation to a figure that is not loaded.
+ *
+ * Each issue is { level, kind, id, pack, message }:
+ *   level  'error' (the entry is set aside) or 'warning' (the entry is used)
+ *   kind   'figure', 'question' or 'badge'
+ *   pack   ID of the content pack the entry comes from, or null
+ * The fields of each question type are checked by questionTypes.validate().
+ */
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+// Dates of figure data: "1879-03-14", "1254年頃", "紀元前469年", "1564/1565"
+const FIGURE_DATE_PATTERNS = [
+    /^\d{4}-\d{2}-\d{2}$/,
+    /^(紀元前)?\d{1,4}年(頃)?$/,
+    /^\d{1,4}\/\d{1,4}$/
+];
+
+// How an issue of each kind of entry is shown
+const CONTENT_ISSUE_FORMATS = {
+    figure: '偉人「{id}」: {message}',
+    question: '問題「{id}」: {message}',
+    badge: 'バッジ「{id}」: {message}'
+};
+
+class ContentValidator {
+    /**
+     * Check content and set aside the entries with errors.
+     * Questions must belong to a valid figure, so a figure with errors also
+     * takes its questions out.
+     * @param {Object} content - { figures, questions, badges }; each is optional
+     * @param {Object} [options]
+     * @param {Array<string>} [options.knownFigureIds] - Figures loaded elsewhere
+     *     that questions and relations may refer to
+     * @returns {Object} { figures, questions, badges, issues } with the usable entries
+     */
+    validate(content, options = {}) {
+        const issues = [];
+        const report = (level, kind, entry, index, messages) => {
+            messages.forEach(message => issues.push({
+                level,
+                kind,
+                id: this.getEntryId(entry, index),
+                pack: entry && typeof entry.pack === 'string' ? entry.pack : null,
+                message
+            }));
+        };
+
+        const figures = this.filterEntries('figure', content.figures || [], report,
+            figure => this.checkFigure(figure));
+
+        const figureIds = new Set([...(options.knownFigureIds || []), ...figures.map(figure => figure.id)]);
+        const quoteOwners = {};
+        figures.forEach((figure, index) => {
+            report('warning', 'figure', figure, index, [
+                ...this.checkRelations(figure, figureIds),
+                ...this.checkSharedQuotes(figure, quoteOwners)
+            ]);
+        });
+
+        const questions = this.filterEntries('question', content.questions || [], report,
+            question => this.checkQuestion(question),
+            question => figureIds.has(question.figureId)
+                ? []
+                : [t('偉人「{figureId}」が見つかりません。', { figureId: String(question.figureId) })]);
+
+        const badges = this.filterEntries('badge', content.badges || [], report,
+            badge => this.checkBadge(badge));
+
+        return { figures, questions, badges, issues };
+    }
+
+    /**
+     * Keep the entries of a list that pass their checks
+     * @param {string} kind - 'figure', 'question' or 'badge'
+     * @param {Array} entries - Entries to check
+     * @param {Function} report - (level, kind, entry, index, messages) => void
+     * @param {Function} check - (entry) => Array<string>; also run on each translation
+     * @param {Function} [checkLinks] - (entry) => Array<string>; references to other data
+     * @returns {Array} Entries without errors
+     */
+    filterEntries(kind, entries, report, check, checkLinks = () => []) {
+        const seenIds = new Set();
+
+        return entries.filter((entry, index) => {
+            if (!userDataSchema.isPlainObject(entry)) {
+                report('error', kind, entry, index, [t('データがオブジェクトではありません。')]);
+                return false;
+            }
+
+            const errors = [];
+            if (typeof entry.id !== 'string' || !entry.id) {
+                errors.push(t('IDがありません。'));
+            } else if (seenIds.has(entry.id)) {
+                errors.push(t('ID「{id}」が重複しています。', { id: entry.id }));
+            }
+            seenIds.add(entry.id);
+
+            errors.push(...check(entry), ...this.checkTranslations(entry, check), ...checkLinks(entry));
+            report('error', kind, entry, index, errors);
+            return errors.length === 0;
+        });
+    }
+
+    /**
+     * Check an entry in each language it is translated to, as it is shown
+     * in that language (translated fields replace the original ones)
+     * @param {Object} entry - Figure, question or badge
+     * @param {Function} check - (entry) => Array<string>
+     * @returns {Array<string>} Error messages
+     */
+    checkTranslations(entry, check) {
+        if (entry.translations === undefined) return [];
+        if (!userDataSchema.isPlainObject(entry.translations)) {
+            return [t('「{field}」がオブジェクトではありません。', { field: 'translations' })];
+        }
+
+        const errors = [];
+        Object.entries(entry.translations).forEach(([language, translation]) => {
+            if (!userDataSchema.isPlainObject(translation)) {
+                errors.push(t('「{field}」がオブジェクトではありません。', { field: `translations.${language}` }));
+                return;
+            }
+
+            // An entry shown in this language is already checked as it is
+            const changed = Object.keys(translation).filter(key => entry[key] !== translation[key]);
+            if (changed.length === 0) return;
+
+            check({ ...entry, ...translation }).forEach(message => errors.push(t('{language}の翻訳: {message}', { language, message })));
+        });
+        return errors;
+    }
+
+    /**
+     * Check the fields of a figure
+     * @param {Object} figure - Figure data
+     * @returns {Array<string>} Error messages
+     */
+    checkFigure(figure) {
+        const errors = [];
+
+        if (typeof figure.name !== 'string' || !figure.name.trim()) {
+            errors.push(t('「{field}」がありません。', { field: 'name' }));
+        }
+        if (!Object.prototype.hasOwnProperty.call(CATEGORY_NAMES, figure.category)) {
+            errors.push(t('カテゴリー「{category}」は使えません。', { category: String(figure.category) }));
+        }
+        if (figure.difficulty !== undefined && !DIFFICULTIES.includes(figure.difficulty)) {
+            errors.push(t('難易度「{difficulty}」は使えません。', { difficulty: String(figure.difficulty) }));
+        }
+
+        ['birth', 'death'].forEach(field => {
+            if (field === 'death' && figure.death === undefined) return;
+            if (figure[field] === undefined) {
+                errors.push(t('「{field}」がありません。', { field }));
+            } else if (!this.isFigureDate(figure[field])) {
+                errors.push(t('「{field}」の日付「{value}」を読み取れません。', { field, value: String(figure[field]) }));
+            }
+        });
+        const birthYear = this.isFigureDate(figure.birth) ? parseYear(figure.birth) : null;
+        const deathYear = this.isFigureDate(figure.death) ? parseYear(figure.death) : null;
+        if (birthYear !== null && deathYear !== null && birthYear > deathYear) {
+            errors.push(t('生年（{birth}）が没年（{death}）より後になっています。', {
+                birth: figure.birth,
+                death: figure.death
+            }));
+        }
+
+        ['achievements', 'quotes', 'countries'].forEach(field => {
+            const value = figure[field];
+            if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+                errors.push(t('「{field}」が文字列の配列ではありません。', { field }));
+            }
+        });
+        if (Array.isArray(figure.countries)) {
+            figure.countries.filter(code => !/^[A-Z]{2}$/.test(code)).forEach(code => {
+                errors.push(t('国コード「{code}」はISO 3166-1 alpha-2（大文字2文字）ではありません。', { code: String(code) }));
+            });
+        }
+
+        if (figure.relations !== undefined && !Array.isArray(figure.relations)) {
+            errors.push(t('「{field}」が配列ではありません。', { field: 'relations' }));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check whether a figure date can be read
+     * @param {*} value - Date from figure data
+     * @returns {boolean} True for a known date format; exact dates must exist
+     */
+    isFigureDate(value) {
+        if (typeof value !== 'string' || !FIGURE_DATE_PATTERNS.some(pattern => pattern.test(value))) {
+            return false;
+        }
+        if (!FIGURE_DATE_PATTERNS[0].test(value)) return true;
+
+        const date = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
+    /**
+     * Check a figure's relations; the app skips the ones reported here
+     * @param {Object} figure - Valid figure
+     * @param {Set<string>} figureIds - IDs of the usable figures
+     * @returns {Array<string>} Warning messages
+     */
+    checkRelations(figure, figureIds) {
+        return (figure.relations || []).map(relation => {
+            if (!userDataSchema.isPlainObject(relation)) {
+                return t('関係がオブジェクトではありません。');
+            }
+            if (!Object.prototype.hasOwnProperty.call(RELATION_TYPES, relation.type)) {
+                return t('関係の種類「{type}」は使えません。', { type: String(relation.type) });
+            }
+            if (relation.figureId === figure.id || !figureIds.has(relation.figureId)) {
+                return t('関係の相手「{figureId}」が見つかりません。', { figureId: String(relation.figureId) });
+            }
+            return null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Find quotes that an earlier figure also has; a quote question
+     * about them would have two right answers
+     * @param {Object} figure - Valid figure
+     * @param {Object} quoteOwners - Quote to the ID of the first figure with it (updated)
+     * @returns {Array<string>} Warning messages
+     */
+    checkSharedQuotes(figure, quoteOwners) {
+        const warnings = [];
+        (figure.quotes || []).forEach(quote => {
+            if (Object.prototype.hasOwnProperty.call(quoteOwners, quote)) {
+                warnings.push(t('名言「{quote}」は偉人「{figureId}」にもあります。', {
+                    quote,
+                    figureId: quoteOwners[quote]
+                }));
+            } else {
+                quoteOwners[quote] = figure.id;
+            }
+        });
+        return warnings;
+    }
+
+    /**
+     * Check the fields of a question
+     * @param {Object} question - Question data
+     * @returns {Array<string>} Error messages
+     */
+    checkQuestion(question) {
+        const errors = [];
+
+        if (typeof question.question !== 'string' || !question.question.trim()) {
+            errors.push(t('「{field}」がありません。', { field: 'question' }));
+        }
+        if (question.difficulty === undefined) {
+            errors.push(t('「{field}」がありません。', { field: 'difficulty' }));
+        } else if (!DIFFICULTIES.includes(question.difficulty)) {
+            errors.push(t('難易度「{difficulty}」は使えません。', { difficulty: String(question.difficulty) }));
+        }
+        if (question.explanation !== undefined && typeof question.explanation !== 'string') {
+            errors.push(t('「{field}」が文字列ではありません。', { field: 'explanation' }));
+        }
+
+        errors.push(...questionTypes.validate(question));
+        return errors;
+    }
+
+    /**
+     * Check the fields of a badge
+     * @param {Object} badge - Badge definition
+     * @returns {Array<string>} Error messages
+     */
+    checkBadge(badge) {
+        const errors = ['name', 'icon'].filter(field =>
+            typeof badge[field] !== 'string' || !badge[field].trim()
+        ).map(field => t('「{field}」がありません。', { field }));
+
+        return [...errors, ...this.checkRule(badge.rule, 'rule')];
+    }
+
+    /**
+     * Check a badge rule (see GamificationManager.evaluateRule)
+     * @param {*} rule - Rule or nested rule
+     * @param {string} path - Field path for messages
+     * @returns {Array<string>} Error messages
+     */
+    checkRule(rule, path) {
+        if (!userDataSchema.isPlainObject(rule)) {
+            return [t('「{field}」がオブジェクトではありません。', { field: path })];
+        }
+
+        const group = ['all', 'any'].find(key => rule[key] !== undefined);
+        if (group) {
+            if (!Array.isArray(rule[group]) || rule[group].length === 0) {
+                return [t('「{field}」が空か配列ではありません。', { field: `${path}.${group}` })];
+            }
+            return rule[group].flatMap((child, index) => this.checkRule(child, `${path}.${group}[${index}]`));
+        }
+
+        const errors = [];
+        if (typeof rule.stat !== 'string' || !rule.stat) {
+            errors.push(t('「{field}」がありません。', { field: `${path}.stat` }));
+        }
+        if (rule.category !== undefined && !Object.prototype.hasOwnProperty.call(CATEGORY_NAMES, rule.category)) {
+            errors.push(t('カテゴリー「{category}」は使えません。', { category: String(rule.category) }));
+        }
+        if (rule.difficulty !== undefined && !DIFFICULTIES.includes(rule.difficulty)) {
+            errors.push(t('難易度「{difficulty}」は使えません。', { difficulty: String(rule.difficulty) }));
+        }
+
+        const scoped = rule.category !== undefined || rule.difficulty !== undefined;
+        if (rule.min === 'all' ? !scoped : !(typeof rule.min === 'number' && rule.min > 0)) {
+            errors.push(t('「{field}」は正の数か、カテゴリー・難易度の条件での"all"にしてください。', {
+                field: `${path}.min`
+            }));
+        }
+        return errors;
+    }
+
+    /**
+     * Get an entry's ID for messages
+     * @param {*} entry - Entry
+     * @param {number} index - Position in its list
+     * @returns {string} ID, or "#<position>" if it has none
+     */
+    getEntryId(entry, index) {
+        return entry && typeof entry.id === 'string' && entry.id ? entry.id : `#${index + 1}`;
+    }
+
+    /**
+     * Format an issue as one line of text
+     * @param {Object} issue - Issue from validate()
+     * @returns {string} Display text
+     */
+    formatIssue(issue) {
+        return t(CONTENT_ISSUE_FORMATS[issue.kind], { id: issue.id, message: issue.message });
+    }
+}
+
+// Create global instance
+const contentValidator = new ContentValidator();
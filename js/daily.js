@@ -0,0 +1,155 @@
+// ===================================
+// Daily Challenge Manager
+// ===================================
+
+class DailyChallengeManager {
+    constructor() {
+        this.questionCount = 5;
+        this.baseBonus = 50;
+        this.perfectBonus = 50;
+        this.streakBonusPerDay = 10;
+        this.maxStreakBonusDays = 7;
+    }
+
+    /**
+     * Get daily challenge data, creating it for older saves
+     * @param {Object} userData - User data
+     * @returns {Object} Daily challenge data
+     */
+    getChallengeData(userData) {
+        if (!userData.dailyChallenge) {
+            userData.dailyChallenge = {
+                streak: 0,
+                lastCompletedDate: null,
+                history: {}
+            };
+        }
+        return userData.dailyChallenge;
+    }
+
+    /**
+     * Select the question set for a date.
+     * Questions are sorted by ID before the seeded shuffle so the set
+     * depends only on the date and the question pool, not on load order.
+     * @param {Array} questions - All questions
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Array} Daily questions
+     */
+    getDailyQuestions(questions, date = getToday()) {
+        const random = createSeededRandom(`daily-${date}`);
+        const sorted = [...questions].sort((a, b) => a.id.localeCompare(b.id));
+        return shuffleArray(sorted, random).slice(0, this.questionCount);
+    }
+
+    /**
+     * Check if today's challenge is already completed
+     * @returns {boolean} True if completed today
+     */
+    isCompletedToday() {
+        const userData = storage.loadUserData();
+        if (!userData) return false;
+        return Boolean(this.getChallengeData(userData).history[getToday()]);
+    }
+
+    /**
+     * Get current daily challenge streak.
+     * A streak is only alive if the last challenge was today or yesterday.
+     * @returns {number} Streak in days
+     */
+    getStreak() {
+        const userData = storage.loadUserData();
+        if (!userData) return 0;
+
+        const challenge = this.getChallengeData(userData);
+        const today = getToday();
+        if (challenge.lastCompletedDate === today ||
+            challenge.lastCompletedDate === addDays(today, -1)) {
+            return challenge.streak;
+        }
+        return 0;
+    }
+
+    /**
+     * Calculate bonus points for a completed challenge
+     * @param {number} correctAnswers - Correct answers
+     * @param {number} totalQuestions - Total questions
+     * @param {number} streak - Daily challenge streak including today
+     * @returns {number} Bonus points
+     */
+    calculateBonus(correctAnswers, totalQuestions, streak) {
+        let bonus = this.baseBonus;
+
+        if (correctAnswers === totalQuestions) {
+            bonus += this.perfectBonus;
+        }
+
+        bonus += Math.min(streak - 1, this.maxStreakBonusDays - 1) * this.streakBonusPerDay;
+
+        return bonus;
+    }
+
+    /**
+     * Record today's challenge result and update the streak
+     * @param {Object} result - Challenge result
+     * @param {number} result.score - Points earned from questions
+     * @param {number} result.correctAnswers - Correct answers
+     * @param {number} result.totalQuestions - Total questions
+     * @returns {Object|null} Bonus and streak information
+     */
+    completeChallenge(result) {
+        const userData = storage.loadUserData();
+        if (!userData) return null;
+
+        const challenge = this.getChallengeData(userData);
+        const today = getToday();
+
+        if (challenge.history[today]) {
+            return null;
+        }
+
+        if (challenge.lastCompletedDate === addDays(today, -1)) {
+            challenge.streak += 1;
+        } else {
+            challenge.streak = 1;
+        }
+        challenge.lastCompletedDate = today;
+
+        const bonus = this.calculateBonus(result.correctAnswers, result.totalQuestions, challenge.streak);
+
+        challenge.history[today] = {
+            correctAnswers: result.correctAnswers,
+            totalQuestions: result.totalQuestions,
+            score: result.score + bonus,
+            bonus
+        };
+
+        storage.saveUserData(userData);
+        debug(`Daily challenge completed: streak ${challenge.streak}, bonus ${bonus}`);
+
+        return {
+            bonus,
+            streak: challenge.streak
+        };
+    }
+
+    /**
+     * Get daily results for a month
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @returns {Object} Results keyed by date (YYYY-MM-DD)
+     */
+    getMonthHistory(year, month) {
+        const userData = storage.loadUserData();
+        if (!userData) return {};
+
+        const prefix = `${year}-${String(month).padStart(2, '0')}-`;
+        const history = this.getChallengeData(userData).history;
+
+        return Object.fromEntries(
+            Object.entries(history).filter(([date]) => date.startsWith(prefix))
+        );
+    }
+}
+
+// Create global instance
+const daily = new DailyChallengeManager();
@@ -4,19 +4,39 @@
 
 class GamificationManager {
     constructor() {
-        this.badges = {
-            beginner: { name: '初心者', icon: '🎓', condition: 'quiz_completed' },
-            learner: { name: '学習者', icon: '📖', condition: 'correct_50' },
-            scholar: { name: '博識', icon: '🎯', condition: 'correct_200' },
-            perfectionist: { name: '完璧主義者', icon: '💯', condition: 'perfect_quiz' },
-            streak_7: { name: '7日連続', icon: '🔥', condition: 'streak_7' },
-            streak_30: { name: '30日連続', icon: '⭐', condition: 'streak_30' },
-            scientist_master: { name: '科学の巨人', icon: '🔬', condition: 'category_scientist' },
-            artist_master: { name: '芸術の達人', icon: '🎨', condition: 'category_artist' },
-            politician_master: { name: '政治の賢者', icon: '⚖️', condition: 'category_politician' },
-            inventor_master: { name: '発明の天才', icon: '💡', condition: 'category_inventor' },
-            philosopher_master: { name: '哲学の探求者', icon: '🧠', condition: 'category_philosopher' }
-        };
+        // Badge definitions keyed by ID, loaded from data/badges.json
+        this.badges = {};
+        this.figures = [];
+    }
+
+    /**
+     * Load badge definitions from JSON file, leaving out badges with errors
+     * @returns {Promise<Array>} Issues found by contentValidator
+     */
+    async loadBadges() {
+        try {
+            const response = await fetch('data/badges.json');
+            const data = await response.json();
+            const checked = contentValidator.validate({ badges: data.badges });
+            this.badges = {};
+            checked.badges.forEach(badge => {
+                const { id, ...definition } = i18n.localize(badge);
+                this.badges[id] = definition;
+            });
+            debug('Badges loaded', checked.badges.length);
+            return checked.issues;
+        } catch (error) {
+            console.error('Error loading badges:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Set figures used by category and difficulty rules
+     * @param {Array} figures - All figures
+     */
+    setFigures(figures) {
+        this.figures = figures;
     }
 
     /**
@@ -71,9 +91,11 @@ class GamificationManager {
      * @param {string} difficulty - Quiz difficulty
      * @param {boolean} isCorrect - Whether answer was correct
      * @param {number} consecutiveCorrect - Number of consecutive correct answers
+     * @param {number} [responseTime] - Time taken to answer in ms (timed mode)
+     * @param {number} [timeLimit] - Time limit per question in seconds (timed mode)
      * @returns {number} Points earned
      */
-    calculatePoints(difficulty, isCorrect, consecutiveCorrect = 0) {
+    calculatePoints(difficulty, isCorrect, consecutiveCorrect = 0, responseTime = null, timeLimit = null) {
         if (!isCorrect) return 0;
 
         const basePoints = {
@@ -92,115 +114,225 @@ class GamificationManager {
             points += 20;
         }
 
+        // Speed bonus: up to the base points again, shrinking as time runs out
+        if (responseTime !== null && timeLimit) {
+            points += this.calculateSpeedBonus(basePoints[difficulty] || 10, responseTime, timeLimit);
+        }
+
         return points;
     }
 
     /**
-     * Check and award badges based on conditions
-     * @param {Object} quizResult - Quiz result data
+     * Award every badge whose rule is now met
      * @returns {Array} Newly awarded badges
      */
-    checkBadgeConditions(quizResult) {
+    checkBadgeConditions() {
         const userData = storage.loadUserData();
         if (!userData) return [];
 
         const newBadges = [];
 
-        // Check beginner badge (first quiz completed)
-        if (!userData.badges.includes('beginner')) {
-            if (storage.awardBadge('beginner')) {
-                newBadges.push(this.badges.beginner);
-            }
-        }
+        Object.entries(this.badges).forEach(([id, badge]) => {
+            if (userData.badges.includes(id)) return;
+            if (!this.evaluateRule(badge.rule, userData).met) return;
 
-        // Check perfectionist badge (10/10 correct)
-        if (!userData.badges.includes('perfectionist')) {
-            if (quizResult.correctAnswers === quizResult.totalQuestions) {
-                if (storage.awardBadge('perfectionist')) {
-                    newBadges.push(this.badges.perfectionist);
-                }
+            if (storage.awardBadge(id)) {
+                newBadges.push({ id, ...badge });
             }
-        }
+        });
 
-        // Check learner badge (50+ correct answers)
-        if (!userData.badges.includes('learner')) {
-            if (userData.statistics.correctAnswers >= 50) {
-                if (storage.awardBadge('learner')) {
-                    newBadges.push(this.badges.learner);
-                }
-            }
-        }
+        return newBadges;
+    }
 
-        // Check scholar badge (200+ correct answers)
-        if (!userData.badges.includes('scholar')) {
-            if (userData.statistics.correctAnswers >= 200) {
-                if (storage.awardBadge('scholar')) {
-                    newBadges.push(this.badges.scholar);
-                }
-            }
+    /**
+     * Evaluate a badge rule.
+     * A rule is one of:
+     *   { stat, min }                 threshold on a stat (see getStatValue)
+     *   { category, stat, min }       threshold within one category
+     *   { difficulty, stat, min }     threshold within one difficulty
+     *   { all: [rules] }              every rule must be met
+     *   { any: [rules] }              at least one rule must be met
+     * In a category or difficulty rule, `min: "all"` means every figure in it.
+     * @param {Object} rule - Badge rule
+     * @param {Object} userData - User data
+     * @returns {Object} { met, current, target, group }; group is true when
+     *     current/target count conditions rather than a stat
+     */
+    evaluateRule(rule, userData) {
+        if (Array.isArray(rule.all)) {
+            const results = rule.all.map(child => this.evaluateRule(child, userData));
+            const metCount = results.filter(result => result.met).length;
+            return {
+                met: metCount === results.length,
+                current: metCount,
+                target: results.length,
+                group: true
+            };
         }
 
-        // Check streak badges
-        if (!userData.badges.includes('streak_7')) {
-            if (userData.streak >= 7) {
-                if (storage.awardBadge('streak_7')) {
-                    newBadges.push(this.badges.streak_7);
-                }
-            }
+        if (Array.isArray(rule.any)) {
+            const results = rule.any.map(child => this.evaluateRule(child, userData));
+            const ratio = result => result.target > 0 ? result.current / result.target : 0;
+            const closest = results.reduce((best, result) => ratio(result) > ratio(best) ? result : best);
+            return { ...closest, met: results.some(result => result.met) };
         }
 
-        if (!userData.badges.includes('streak_30')) {
-            if (userData.streak >= 30) {
-                if (storage.awardBadge('streak_30')) {
-                    newBadges.push(this.badges.streak_30);
-                }
-            }
+        const scope = this.getScopeStats(rule, userData);
+        const value = scope ? scope[rule.stat] : this.getStatValue(rule.stat, userData);
+        if (!Number.isFinite(value)) {
+            console.warn(`Unknown badge stat: ${rule.stat}`);
         }
 
-        return newBadges;
+        const current = Number.isFinite(value) ? value : 0;
+        const target = rule.min === 'all' && scope ? scope.figures : rule.min;
+
+        return {
+            met: target > 0 && current >= target,
+            current: Math.min(current, target),
+            target,
+            group: false
+        };
+    }
+
+    /**
+     * Get a stat for a rule without category or difficulty.
+     * Besides the named stats below, any path into user data can be used
+     * (e.g. "statistics.figureStats.einstein.correct"); lists count their items.
+     * @param {string} stat - Stat name or path
+     * @param {Object} userData - User data
+     * @returns {number|undefined} Stat value
+     */
+    getStatValue(stat, userData) {
+        const stats = userData.statistics;
+        const named = {
+            correctAnswers: stats.correctAnswers,
+            totalQuestions: stats.totalQuestions,
+            accuracy: stats.accuracyRate,
+            quizzesCompleted: stats.quizzesCompleted,
+            perfectQuizzes: stats.perfectQuizzes,
+            unlockedFigures: userData.unlockedFigures.length,
+            dailyChallengesCompleted: Object.keys(userData.dailyChallenge.history).length,
+            dailyStreak: userData.dailyChallenge.streak
+        };
+        if (stat in named) return named[stat];
+
+        // Paths into data not recorded yet (e.g. an unanswered figure) count as 0
+        const path = stat.split('.');
+        if (!(path[0] in userData)) return undefined;
+
+        const value = path.reduce((current, key) =>
+            current !== null && current !== undefined ? current[key] : undefined, userData);
+        if (Array.isArray(value)) return value.length;
+        return value === undefined ? 0 : value;
+    }
+
+    /**
+     * Get stats within the category or difficulty a rule is limited to
+     * @param {Object} rule - Badge rule
+     * @param {Object} userData - User data
+     * @returns {Object|null} { total, correct, accuracy, unlocked, mastered, figures },
+     *     or null if the rule is not limited
+     */
+    getScopeStats(rule, userData) {
+        const field = rule.category ? 'category' : rule.difficulty ? 'difficulty' : null;
+        if (!field) return null;
+
+        const key = rule[field];
+        const buckets = userData.statistics[field === 'category' ? 'categoryStats' : 'difficultyStats'];
+        const bucket = buckets[key] || { total: 0, correct: 0 };
+        const figures = this.figures.filter(figure => figure[field] === key);
+
+        return {
+            total: bucket.total,
+            correct: bucket.correct,
+            accuracy: bucket.total > 0 ? calculatePercentage(bucket.correct, bucket.total) : 0,
+            unlocked: figures.filter(figure => userData.unlockedFigures.includes(figure.id)).length,
+            mastered: figures.filter(figure => this.isFigureMastered(figure.id, userData)).length,
+            figures: figures.length
+        };
+    }
+
+    /**
+     * Format rule progress for display
+     * @param {Object} progress - Result of evaluateRule()
+     * @returns {string} Progress text such as "34/50"
+     */
+    formatProgress(progress) {
+        return progress.group
+            ? t('{current}/{target}条件', progress)
+            : `${progress.current}/${progress.target}`;
+    }
+
+    /**
+     * Check if a figure counts as mastered: unlocked and, when the
+     * masteryMinAccuracy setting is above 0, answered at least that accurately
+     * @param {string} figureId - Figure ID
+     * @param {Object} userData - User data
+     * @returns {boolean} True if mastered
+     */
+    isFigureMastered(figureId, userData) {
+        if (!userData.unlockedFigures.includes(figureId)) return false;
+
+        const minAccuracy = userData.settings.masteryMinAccuracy;
+        if (!minAccuracy) return true;
+
+        const stats = userData.statistics.figureStats[figureId];
+        return Boolean(stats) && stats.total > 0 &&
+            calculatePercentage(stats.correct, stats.total) >= minAccuracy;
     }
 
     /**
-     * Check category master badges
+     * Check category master badge
      * @param {string} category - Category to check
-     * @param {Array} allFigures - All figures in the category
+     * @returns {Object|null} Newly awarded badge, or null
      */
-    checkCategoryMaster(category, allFigures) {
+    checkCategoryMaster(category) {
         const userData = storage.loadUserData();
-        if (!userData) return;
+        if (!userData) return null;
 
         const badgeId = `${category}_master`;
-        if (userData.badges.includes(badgeId)) return;
-
-        // Check if all figures in category are unlocked
-        const categoryFigures = allFigures.filter(f => f.category === category);
-        const allUnlocked = categoryFigures.every(f =>
-            userData.unlockedFigures.includes(f.id)
-        );
-
-        if (allUnlocked && categoryFigures.length > 0) {
-            if (storage.awardBadge(badgeId)) {
-                debug(`Category master badge awarded: ${category}`);
-                return this.badges[badgeId];
-            }
+        const badge = this.badges[badgeId];
+        if (!badge || userData.badges.includes(badgeId)) return null;
+
+        if (this.evaluateRule(badge.rule, userData).met && storage.awardBadge(badgeId)) {
+            debug(`Category master badge awarded: ${category}`);
+            return { id: badgeId, ...badge };
         }
 
         return null;
     }
 
     /**
-     * Get all badges with locked/unlocked status
+     * Get all badges with locked/unlocked status and progress.
+     * Locked badges of a category without figures (e.g. one only a content
+     * pack provides) are left out, since they cannot be earned.
      * @returns {Array} Badges with status
      */
     getAllBadges() {
         const userData = storage.loadUserData();
         if (!userData) return [];
 
-        return Object.entries(this.badges).map(([id, badge]) => ({
-            id,
-            ...badge,
-            unlocked: userData.badges.includes(id)
-        }));
+        return Object.entries(this.badges)
+            .filter(([id, badge]) => userData.badges.includes(id) || !badge.rule.category ||
+                this.figures.some(figure => figure.category === badge.rule.category))
+            .map(([id, badge]) => ({
+                id,
+                ...badge,
+                unlocked: userData.badges.includes(id),
+                progress: this.evaluateRule(badge.rule, userData)
+            }));
+    }
+
+    /**
+     * Calculate bonus for answering quickly in timed mode
+     * @param {number} basePoints - Base points of the question
+     * @param {number} responseTime - Time taken to answer in ms
+     * @param {number} timeLimit - Time limit per question in seconds
+     * @returns {number} Bonus points
+     */
+    calculateSpeedBonus(basePoints, responseTime, timeLimit) {
+        const remainingRatio = clamp(1 - responseTime / (timeLimit * 1000), 0, 1);
+        return Math.round(basePoints * remainingRatio);
     }
 
     /**
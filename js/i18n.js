@@ -0,0 +1,149 @@
+// ===================================
+// I18n Manager (UI Language)
+// ===================================
+
+/*
+ * Japanese is the source language. UI strings are written in Japanese and
+ * looked up as they are in the catalog of the selected language
+ * (locales/<language>.json); strings missing from the catalog stay Japanese.
+ * Messages may contain placeholders such as {count}, filled from params.
+ * A catalog entry can be { "one": "...", "other": "..." } to pick the
+ * wording by params.count.
+ *
+ * Elements in index.html marked with data-i18n have their text translated;
+ * child elements are written as {0}, {1}... in the catalog key so they keep
+ * their place. data-i18n-attrs lists attributes to translate
+ * (e.g. "placeholder aria-label").
+ *
+ * Content (figures, questions, badges, relations) carries its own
+ * translations, replacing fields of the Japanese original:
+ *   "translations": { "en": { "name": "...", "description": "..." } }
+ */
+const LANGUAGES = {
+    ja: '日本語',
+    en: 'English'
+};
+
+const DEFAULT_LANGUAGE = 'ja';
+
+class I18nManager {
+    constructor() {
+        this.language = DEFAULT_LANGUAGE;
+        this.messages = {};
+    }
+
+    /**
+     * Select the UI language and load its catalog.
+     * Unknown languages fall back to Japanese.
+     * @param {string} language - Language code
+     * @returns {Promise<void>}
+     */
+    async setLanguage(language) {
+        this.language = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+        this.messages = {};
+        document.documentElement.lang = this.language;
+
+        if (this.language === DEFAULT_LANGUAGE) return;
+
+        try {
+            const response = await fetch(`locales/${this.language}.json`);
+            const data = await response.json();
+            this.messages = data.messages || {};
+            debug(`Messages loaded (${this.language})`, Object.keys(this.messages).length);
+        } catch (error) {
+            console.error(`Error loading messages (${this.language}):`, error);
+        }
+    }
+
+    /**
+     * Translate a Japanese UI string
+     * @param {string} text - Japanese text, used as the catalog key
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} Translated text, or the Japanese text if untranslated
+     */
+    translate(text, params = {}) {
+        let message = Object.prototype.hasOwnProperty.call(this.messages, text) ? this.messages[text] : text;
+        if (message && typeof message === 'object') {
+            message = params.count === 1 ? message.one : message.other;
+        }
+        if (typeof message !== 'string') {
+            message = text;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+        );
+    }
+
+    /**
+     * Get content in the selected language; untranslated fields stay Japanese
+     * @param {Object} item - Figure, question, badge or relation
+     * @returns {Object} Copy with the translated fields, or the item itself
+     */
+    localize(item) {
+        const translation = item && item.translations && item.translations[this.language];
+        if (this.language === DEFAULT_LANGUAGE || !translation) return item;
+        return { ...item, ...translation };
+    }
+
+    /**
+     * Translate the marked elements of a page section
+     * @param {ParentNode} [root] - Section to translate
+     */
+    translatePage(root = document) {
+        if (this.language === DEFAULT_LANGUAGE) return;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => this.translateElement(element));
+        root.querySelectorAll('[data-i18n-attrs]').forEach(element => {
+            element.dataset.i18nAttrs.split(' ').filter(Boolean).forEach(name => {
+                const value = element.getAttribute(name);
+                if (value) {
+                    element.setAttribute(name, this.translate(value));
+                }
+            });
+        });
+    }
+
+    /**
+     * Translate the text of an element, keeping its child elements
+     * @param {Element} element - Element marked with data-i18n
+     */
+    translateElement(element) {
+        const children = [];
+        const key = [...element.childNodes].map(node => {
+            if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+            children.push(node);
+            return `{${children.length - 1}}`;
+        }).join('').replace(/\s+/g, ' ').trim();
+
+        const message = this.messages[key];
+        if (typeof message !== 'string') return;
+
+        element.replaceChildren(...message.split(/\{(\d+)\}/).map((part, index) =>
+            index % 2 === 1 ? children[Number(part)] : document.createTextNode(part)
+        ).filter(Boolean));
+    }
+
+    /**
+     * Compare two strings in the order of the selected language
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Sort order
+     */
+    compare(a, b) {
+        return a.localeCompare(b, this.language);
+    }
+}
+
+// Create global instance
+const i18n = new I18nManager();
+
+/**
+ * Translate a Japanese UI string (shorthand for i18n.translate)
+ * @param {string} text - Japanese text
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Translated text
+ */
+function t(text, params = {}) {
+    return i18n.translate(text, params);
+}
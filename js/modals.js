@@ -0,0 +1,124 @@
+// ===================================
+// Modal Manager (Dialog Focus and Keyboard)
+// ===================================
+
+/*
+ * Open modals are kept on a stack. While a modal is open, Tab and Shift+Tab
+ * stay inside the topmost one and Escape runs its close action. When a modal
+ * closes, focus goes back to the element that had it before the modal opened.
+ */
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+class ModalManager {
+    constructor() {
+        this.stack = [];
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * Open a modal and move focus into it
+     * @param {HTMLElement} modal - Modal element
+     * @param {Function} onClose - Close action, run when Escape is pressed
+     */
+    open(modal, onClose) {
+        if (!this.isOpen(modal)) {
+            this.stack.push({
+                modal,
+                onClose,
+                returnFocus: document.activeElement
+            });
+        }
+
+        modal.classList.add('active');
+
+        // Focus the dialog itself so screen readers start from its title
+        const content = modal.querySelector('.modal-content');
+        content.setAttribute('tabindex', '-1');
+        content.focus({ preventScroll: true });
+    }
+
+    /**
+     * Close a modal and give focus back to where it was before it opened
+     * @param {HTMLElement} modal - Modal element
+     */
+    close(modal) {
+        modal.classList.remove('active');
+
+        const index = this.stack.findIndex(entry => entry.modal === modal);
+        if (index === -1) return;
+
+        const [entry] = this.stack.splice(index, 1);
+        const target = entry.returnFocus;
+        // The element may have been removed or hidden by a screen change meanwhile
+        if (target && target.isConnected && target.getClientRects().length > 0) {
+            target.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Check whether a modal, or any modal, is open
+     * @param {HTMLElement} [modal] - Modal element
+     * @returns {boolean} True if open
+     */
+    isOpen(modal) {
+        return modal
+            ? this.stack.some(entry => entry.modal === modal)
+            : this.stack.length > 0;
+    }
+
+    /**
+     * Get the focusable elements of a modal in tab order
+     * @param {HTMLElement} modal - Modal element
+     * @returns {Array<HTMLElement>} Visible focusable elements
+     */
+    getFocusableElements(modal) {
+        return [...modal.querySelectorAll(FOCUSABLE_SELECTOR)]
+            .filter(element => element.getClientRects().length > 0);
+    }
+
+    /**
+     * Close the topmost modal on Escape and keep Tab inside it
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const top = this.stack[this.stack.length - 1];
+        if (!top) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            top.onClose();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements(top.modal);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = top.modal.contains(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !inside ||
+            document.activeElement === top.modal.querySelector('.modal-content'))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Create global instance
+const modals = new ModalManager();
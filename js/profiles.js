@@ -0,0 +1,262 @@
+// ===================================
+// Profile Manager
+// ===================================
+
+class ProfileManager {
+    constructor() {
+        this.registryKey = 'greatFiguresApp:profiles';
+        this.registry = {
+            activeProfileId: null,
+            profiles: []
+        };
+        this.maxNameLength = 20;
+        this.avatars = ['🦉', '🦊', '🐼', '🐯', '🐸', '🐧', '🦄', '🐙', '🚀', '🌸', '⚽', '🎨'];
+    }
+
+    /**
+     * Load the profile registry and the active profile's data.
+     * On first run a profile is created, taking over data saved by
+     * single-user versions of the app.
+     * @returns {Promise<Object>} Active profile
+     */
+    async initialize() {
+        let registry;
+        try {
+            registry = await storage.adapter.get(this.registryKey);
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+
+        if (this.isValidRegistry(registry)) {
+            this.registry = registry;
+        } else {
+            await this.rebuildRegistry();
+        }
+
+        if (this.registry.profiles.length === 0) {
+            const profile = this.createProfileEntry('プレイヤー1', this.avatars[0]);
+            this.registry.profiles.push(profile);
+            await storage.migrateLegacyData(profile.id);
+        }
+
+        if (!this.getProfile(this.registry.activeProfileId)) {
+            this.registry.activeProfileId = this.registry.profiles[0].id;
+        }
+
+        await this.saveRegistry();
+        await storage.loadProfileData(this.registry.activeProfileId);
+        return this.getActiveProfile();
+    }
+
+    /**
+     * Check the shape of a saved registry
+     * @param {*} registry - Saved registry
+     * @returns {boolean} True if usable
+     */
+    isValidRegistry(registry) {
+        return userDataSchema.isPlainObject(registry) &&
+            Array.isArray(registry.profiles) &&
+            registry.profiles.every(profile =>
+                userDataSchema.isPlainObject(profile) &&
+                typeof profile.id === 'string' &&
+                typeof profile.name === 'string'
+            );
+    }
+
+    /**
+     * Recreate a lost or broken registry from the profile data still in storage
+     * @returns {Promise<void>}
+     */
+    async rebuildRegistry() {
+        const prefix = storage.getProfileKey('');
+        let keys = [];
+        try {
+            keys = await storage.adapter.keys();
+        } catch (error) {
+            console.error('Error listing storage keys:', error);
+        }
+
+        const profiles = keys
+            .filter(key => typeof key === 'string' && key.startsWith(prefix) && !key.endsWith('_backup'))
+            .map((key, index) => ({
+                ...this.createProfileEntry(`プレイヤー${index + 1}`, this.avatars[index % this.avatars.length]),
+                id: key.slice(prefix.length)
+            }));
+
+        if (profiles.length > 0) {
+            console.warn('Profile list was missing; rebuilt from saved data');
+        }
+
+        this.registry = {
+            activeProfileId: profiles.length > 0 ? profiles[0].id : null,
+            profiles
+        };
+    }
+
+    /**
+     * Save the profile registry
+     * @returns {Promise<void>}
+     */
+    async saveRegistry() {
+        try {
+            await storage.adapter.set(this.registryKey, this.registry);
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+        }
+    }
+
+    /**
+     * Create a profile registry entry
+     * @param {string} name - Display name
+     * @param {string} avatar - Avatar emoji
+     * @returns {Object} Profile
+     */
+    createProfileEntry(name, avatar) {
+        return {
+            id: generateId(),
+            name,
+            avatar,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Get all profiles
+     * @returns {Array} Profiles
+     */
+    getProfiles() {
+        return this.registry.profiles;
+    }
+
+    /**
+     * Get a profile by ID
+     * @param {string} profileId - Profile ID
+     * @returns {Object|undefined} Profile
+     */
+    getProfile(profileId) {
+        return this.registry.profiles.find(profile => profile.id === profileId);
+    }
+
+    /**
+     * Get the profile currently in use
+     * @returns {Object|undefined} Active profile
+     */
+    getActiveProfile() {
+        return this.getProfile(this.registry.activeProfileId);
+    }
+
+    /**
+     * Get profiles with their level for the picker
+     * @returns {Promise<Array>} Profiles with a `level` field
+     */
+    async getProfileSummaries() {
+        return Promise.all(this.registry.profiles.map(async profile => {
+            const data = await storage.readProfileData(profile.id);
+            const level = userDataSchema.isPlainObject(data) && Number.isFinite(data.level) ? data.level : 1;
+            return { ...profile, level };
+        }));
+    }
+
+    /**
+     * Validate a profile name
+     * @param {string} name - Name to check
+     * @param {string} [profileId] - Profile being renamed, excluded from the duplicate check
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateName(name, profileId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return t('名前を入力してください。');
+        }
+        if (trimmed.length > this.maxNameLength) {
+            return t('名前は{max}文字以内にしてください。', { max: this.maxNameLength });
+        }
+        if (this.registry.profiles.some(profile => profile.id !== profileId && profile.name === trimmed)) {
+            return t('同じ名前のプロフィールがすでにあります。');
+        }
+        return null;
+    }
+
+    /**
+     * Create a new profile. Its data is created the first time it is used.
+     * @param {string} name - Display name
+     * @param {string} avatar - Avatar emoji
+     * @returns {Promise<Object>} Created profile
+     */
+    async createProfile(name, avatar) {
+        const error = this.validateName(name);
+        if (error) throw new Error(error);
+
+        const profile = this.createProfileEntry(name.trim(), avatar || this.avatars[0]);
+        this.registry.profiles.push(profile);
+        await this.saveRegistry();
+
+        debug(`Profile created: ${profile.name}`);
+        return profile;
+    }
+
+    /**
+     * Change a profile's name and avatar
+     * @param {string} profileId - Profile ID
+     * @param {string} name - New display name
+     * @param {string} avatar - New avatar emoji
+     * @returns {Promise<Object>} Updated profile
+     */
+    async updateProfile(profileId, name, avatar) {
+        const profile = this.getProfile(profileId);
+        if (!profile) throw new Error(t('プロフィールが見つかりません。'));
+
+        const error = this.validateName(name, profileId);
+        if (error) throw new Error(error);
+
+        profile.name = name.trim();
+        profile.avatar = avatar || profile.avatar;
+        await this.saveRegistry();
+
+        debug(`Profile updated: ${profile.name}`);
+        return profile;
+    }
+
+    /**
+     * Switch to another profile and load its data
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Object>} User data of the profile
+     */
+    async switchProfile(profileId) {
+        if (!this.getProfile(profileId)) throw new Error(t('プロフィールが見つかりません。'));
+
+        this.registry.activeProfileId = profileId;
+        await this.saveRegistry();
+
+        debug(`Profile switched: ${profileId}`);
+        return storage.loadProfileData(profileId);
+    }
+
+    /**
+     * Delete a profile and its data.
+     * The last remaining profile cannot be deleted; deleting the active
+     * profile switches to another one first.
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    async deleteProfile(profileId) {
+        if (!this.getProfile(profileId)) throw new Error(t('プロフィールが見つかりません。'));
+        if (this.registry.profiles.length <= 1) {
+            throw new Error(t('最後のプロフィールは削除できません。'));
+        }
+
+        if (profileId === this.registry.activeProfileId) {
+            const next = this.registry.profiles.find(profile => profile.id !== profileId);
+            await this.switchProfile(next.id);
+        }
+
+        this.registry.profiles = this.registry.profiles.filter(profile => profile.id !== profileId);
+        await this.saveRegistry();
+        await storage.deleteProfileData(profileId);
+
+        debug(`Profile deleted: ${profileId}`);
+    }
+}
+
+// Create global instance
+const profiles = new ProfileManager();
@@ -0,0 +1,363 @@
+// ===================================
+// Question Generator
+// ===================================
+
+class QuestionGenerator {
+    constructor() {
+        this.optionCount = 4;
+        this.orderingItemCount = 4;
+        this.templates = [
+            { name: 'category', difficulty: 'beginner', build: this.buildCategoryQuestions },
+            { name: 'country', difficulty: 'beginner', build: this.buildCountryQuestions },
+            { name: 'achievement_tf', difficulty: 'beginner', build: this.buildAchievementTrueFalseQuestions },
+            { name: 'achievement', difficulty: 'intermediate', build: this.buildAchievementQuestions },
+            { name: 'quote', difficulty: 'intermediate', build: this.buildQuoteQuestions },
+            { name: 'birth_year', difficulty: 'advanced', build: this.buildBirthYearQuestions },
+            { name: 'death_year', difficulty: 'advanced', build: this.buildDeathYearQuestions }
+        ];
+    }
+
+    /**
+     * Generate questions from figure data
+     * @param {Array} figures - All figures
+     * @returns {Array} Generated questions
+     */
+    generate(figures) {
+        const questions = [];
+
+        figures.forEach(figure => {
+            this.templates.forEach(template => {
+                const built = template.build.call(this, figure, figures);
+                built.forEach((question, index) => {
+                    questions.push({
+                        id: `gen_${template.name}_${figure.id}_${index + 1}`,
+                        figureId: figure.id,
+                        difficulty: template.difficulty,
+                        source: 'generated',
+                        ...question
+                    });
+                });
+            });
+        });
+
+        questions.push(...this.buildOrderingQuestions(figures));
+
+        debug('Questions generated', questions.length);
+        return questions;
+    }
+
+    /**
+     * Build a multiple choice question with shuffled options.
+     * The shuffle is seeded by the question key so a generated question
+     * looks the same every time it is generated.
+     * @param {string} seed - Seed for option order
+     * @param {string} correct - Correct option
+     * @param {Array<string>} distractors - Wrong options
+     * @returns {Object|null} Options and correct index, or null if not enough distractors
+     */
+    buildOptions(seed, correct, distractors) {
+        const unique = [...new Set(distractors)].filter(d => d !== correct);
+        if (unique.length < this.optionCount - 1) return null;
+
+        const random = createSeededRandom(seed);
+        const chosen = shuffleArray(unique, random).slice(0, this.optionCount - 1);
+        const options = shuffleArray([correct, ...chosen], random);
+
+        return {
+            options,
+            correctAnswer: options.indexOf(correct)
+        };
+    }
+
+    /**
+     * Get other figures, same category first
+     * @param {Object} figure - Target figure
+     * @param {Array} figures - All figures
+     * @returns {Array} Other figures ordered by category preference
+     */
+    getDistractorFigures(figure, figures) {
+        const others = figures.filter(f => f.id !== figure.id);
+        return [
+            ...others.filter(f => f.category === figure.category),
+            ...others.filter(f => f.category !== figure.category)
+        ];
+    }
+
+    /**
+     * Take distractor values, preferring the same category and
+     * falling back to other categories only when needed
+     * @param {Object} figure - Target figure
+     * @param {Array} figures - All figures
+     * @param {Function} getValues - (figure) => Array of candidate values
+     * @param {Function} isValid - (value) => boolean
+     * @returns {Array} Distractor values
+     */
+    collectDistractors(figure, figures, getValues, isValid = () => true) {
+        const sameCategory = [];
+        const otherCategory = [];
+
+        this.getDistractorFigures(figure, figures).forEach(other => {
+            const target = other.category === figure.category ? sameCategory : otherCategory;
+            getValues(other).filter(isValid).forEach(value => target.push(value));
+        });
+
+        const unique = [...new Set(sameCategory)];
+        if (unique.length >= this.optionCount - 1) return unique;
+        return [...new Set([...sameCategory, ...otherCategory])];
+    }
+
+    /**
+     * "Which category does X belong to?"
+     */
+    buildCategoryQuestions(figure) {
+        if (!CATEGORY_NAMES[figure.category]) return [];
+        const correct = t(CATEGORY_NAMES[figure.category]);
+
+        const distractors = Object.keys(CATEGORY_NAMES)
+            .filter(category => category !== figure.category)
+            .map(category => t(CATEGORY_NAMES[category]));
+        const built = this.buildOptions(`category-${figure.id}`, correct, distractors);
+        if (!built) return [];
+
+        return [{
+            type: 'multiple_choice',
+            question: t('{name}は何に分類される偉人？', { name: figure.name }),
+            ...built,
+            explanation: t('{name}は{category}です。{description}', {
+                name: figure.name,
+                category: correct,
+                description: figure.description
+            })
+        }];
+    }
+
+    /**
+     * "Where is X from?"
+     */
+    buildCountryQuestions(figure, figures) {
+        if (!figure.country) return [];
+
+        // Skip figures sharing a country code, so no option is also correct
+        const countries = figure.countries || [];
+        const distractors = this.collectDistractors(
+            figure,
+            figures,
+            other => other.country && !(other.countries || []).some(code => countries.includes(code))
+                ? [other.country]
+                : []
+        );
+        const built = this.buildOptions(`country-${figure.id}`, figure.country, distractors);
+        if (!built) return [];
+
+        return [{
+            type: 'multiple_choice',
+            question: t('{name}にゆかりのある国は？', { name: figure.name }),
+            ...built,
+            explanation: t('{name}は{country}で活躍しました。', { name: figure.name, country: figure.country })
+        }];
+    }
+
+    /**
+     * "Is this X's achievement?" - one true and one false statement
+     */
+    buildAchievementTrueFalseQuestions(figure, figures) {
+        if (!figure.achievements || figure.achievements.length === 0) return [];
+
+        const random = createSeededRandom(`achievement-tf-${figure.id}`);
+        const questions = [{
+            type: 'true_false',
+            question: t('正しいか誤りか：「{achievement}」は{name}の業績である。', {
+                achievement: figure.achievements[0],
+                name: figure.name
+            }),
+            correctAnswer: true,
+            explanation: t('{name}の主な業績の一つです。', { name: figure.name })
+        }];
+
+        const sameCategory = figures.filter(f =>
+            f.id !== figure.id && f.category === figure.category && f.achievements && f.achievements.length > 0
+        );
+        if (sameCategory.length > 0) {
+            const other = sameCategory[Math.floor(random() * sameCategory.length)];
+            questions.push({
+                type: 'true_false',
+                question: t('正しいか誤りか：「{achievement}」は{name}の業績である。', {
+                    achievement: other.achievements[0],
+                    name: figure.name
+                }),
+                correctAnswer: false,
+                explanation: t('「{achievement}」は{name}の業績です。', {
+                    achievement: other.achievements[0],
+                    name: other.name
+                })
+            });
+        }
+
+        return questions;
+    }
+
+    /**
+     * "Who is known for this achievement?"
+     */
+    buildAchievementQuestions(figure, figures) {
+        if (!figure.achievements) return [];
+
+        const distractors = this.collectDistractors(figure, figures, other => [other.name]);
+
+        return figure.achievements.map((achievement, index) => {
+            const built = this.buildOptions(`achievement-${figure.id}-${index}`, figure.name, distractors);
+            if (!built) return null;
+
+            return {
+                type: 'multiple_choice',
+                question: t('「{achievement}」で知られる偉人は？', { achievement }),
+                ...built,
+                explanation: t('「{achievement}」は{name}の業績です。', { achievement, name: figure.name })
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * "Who said this?"
+     */
+    buildQuoteQuestions(figure, figures) {
+        if (!figure.quotes) return [];
+
+        return figure.quotes.map((quote, index) => {
+            // Figures sharing the same quote cannot be distractors
+            const distractors = this.collectDistractors(
+                figure,
+                figures,
+                other => (other.quotes || []).includes(quote) ? [] : [other.name]
+            );
+            const built = this.buildOptions(`quote-${figure.id}-${index}`, figure.name, distractors);
+            if (!built) return null;
+
+            return {
+                type: 'quote',
+                question: t('この名言を残したのは誰？'),
+                quote,
+                ...built,
+                explanation: t('「{quote}」は{name}の言葉です。', { quote, name: figure.name })
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * "When was X born?"
+     */
+    buildBirthYearQuestions(figure, figures) {
+        return this.buildYearQuestion(
+            figure,
+            figures,
+            'birth',
+            '{name}が生まれたのは何年？',
+            '{name}は{year}に生まれました（{birth} - {death}）。'
+        );
+    }
+
+    /**
+     * "When did X die?"
+     */
+    buildDeathYearQuestions(figure, figures) {
+        return this.buildYearQuestion(
+            figure,
+            figures,
+            'death',
+            '{name}が亡くなったのは何年？',
+            '{name}は{year}に亡くなりました（{birth} - {death}）。'
+        );
+    }
+
+    /**
+     * Build a year question for a date field.
+     * Distractors are years of other figures in the same category; nearby
+     * years are added when the category does not provide enough.
+     * @param {Object} figure - Target figure
+     * @param {Array} figures - All figures
+     * @param {string} field - 'birth' or 'death'
+     * @param {string} question - Message for the question ({name})
+     * @param {string} explanation - Message for the explanation ({name}, {year}, {birth}, {death})
+     * @returns {Array} Generated questions
+     */
+    buildYearQuestion(figure, figures, field, question, explanation) {
+        if (isApproximateDate(figure[field])) return [];
+        const year = parseYear(figure[field]);
+        if (year === null) return [];
+
+        const categoryYears = figures
+            .filter(f => f.id !== figure.id && f.category === figure.category && !isApproximateDate(f[field]))
+            .map(f => parseYear(f[field]))
+            .filter(y => y !== null && y !== year);
+
+        const nearbyYears = [-30, -10, 10, 30].map(offset => year + offset).filter(y => y !== 0);
+        const distractors = [...new Set(categoryYears)].length >= this.optionCount - 1
+            ? categoryYears
+            : [...categoryYears, ...nearbyYears];
+
+        const built = this.buildOptions(
+            `${field}-${figure.id}`,
+            formatYear(year),
+            distractors.map(formatYear)
+        );
+        if (!built) return [];
+
+        return [{
+            type: 'multiple_choice',
+            question: t(question, { name: figure.name }),
+            ...built,
+            explanation: t(explanation, {
+                name: figure.name,
+                year: formatYear(year),
+                birth: formatFigureDate(figure.birth),
+                death: formatFigureDate(figure.death)
+            })
+        }];
+    }
+
+    /**
+     * "Sort these figures by birth year" - one question per category
+     * @param {Array} figures - All figures
+     * @returns {Array} Generated ordering questions
+     */
+    buildOrderingQuestions(figures) {
+        const categories = [...new Set(figures.map(f => f.category))];
+        const questions = [];
+
+        categories.forEach(category => {
+            const candidates = figures.filter(f =>
+                f.category === category && !isApproximateDate(f.birth) && parseYear(f.birth) !== null
+            );
+            if (candidates.length < this.orderingItemCount) return;
+
+            const random = createSeededRandom(`ordering-${category}`);
+            const chosen = shuffleArray(candidates, random)
+                .slice(0, this.orderingItemCount)
+                .sort((a, b) => parseYear(a.birth) - parseYear(b.birth));
+
+            // Years must be distinct for a single correct order
+            const years = chosen.map(f => parseYear(f.birth));
+            if (new Set(years).size !== years.length) return;
+
+            questions.push({
+                id: `gen_ordering_${category}_1`,
+                figureId: chosen[0].id,
+                difficulty: 'advanced',
+                source: 'generated',
+                type: 'ordering',
+                question: t('次の{category}を生まれた年の古い順に並べよう。', {
+                    category: CATEGORY_NAMES[category] ? t(CATEGORY_NAMES[category]) : category
+                }),
+                items: chosen.map(f => f.name),
+                explanation: chosen.map(f =>
+                    t('{name}（{year}）', { name: f.name, year: formatYear(parseYear(f.birth)) })
+                ).join('→')
+            });
+        });
+
+        return questions;
+    }
+}
+
+// Create global instance
+const questionGenerator = new QuestionGenerator();
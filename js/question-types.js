@@ -0,0 +1,497 @@
+// ===================================
+// Question Types
+// ===================================
+
+class QuestionTypeRegistry {
+    constructor() {
+        this.types = {};
+    }
+
+    /**
+     * Register a question type
+     * @param {string} name - Type name used in question data
+     * @param {Object} handler - Type handler
+     * @param {Function} handler.render - (question, container, onAnswer, options) => void;
+     *     options.autofocus is false when the controls must not take focus
+     * @param {Function} handler.check - (question, answer) => boolean
+     * @param {Function} handler.showResult - (question, container, answer, isCorrect) => void;
+     *     answer is null when the time ran out in timed mode
+     * @param {Function} handler.formatAnswer - (question, answer) => string; correct answer if answer omitted
+     * @param {Function} handler.validate - (question) => Array<string>; problems with the type's fields
+     */
+    register(name, handler) {
+        this.types[name] = handler;
+        debug(`Question type registered: ${name}`);
+    }
+
+    /**
+     * Get handler for a question
+     * @param {Object} question - Question data
+     * @returns {Object} Type handler
+     */
+    get(question) {
+        const type = question.type || 'multiple_choice';
+        const handler = this.types[type];
+        if (!handler) {
+            throw new Error(`Unknown question type: ${type}`);
+        }
+        return handler;
+    }
+
+    /**
+     * Check if a question type is registered
+     * @param {string} type - Type name
+     * @returns {boolean} True if registered
+     */
+    has(type) {
+        return Boolean(this.types[type]);
+    }
+
+    /**
+     * Check the fields a question needs for its type
+     * @param {Object} question - Question data
+     * @returns {Array<string>} Error messages; empty if the question can be used
+     */
+    validate(question) {
+        const type = question.type || 'multiple_choice';
+        if (!this.has(type)) {
+            return [t('形式「{type}」は使えません。', { type: String(type) })];
+        }
+        return this.types[type].validate(question);
+    }
+
+    /**
+     * Render a question's answer controls
+     * @param {Object} question - Question data
+     * @param {HTMLElement} container - Container element
+     * @param {Function} onAnswer - Called with the user's answer
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.autofocus=true] - Let the controls take focus
+     */
+    render(question, container, onAnswer, options = {}) {
+        container.innerHTML = '';
+        container.dataset.type = question.type || 'multiple_choice';
+        this.get(question).render(question, container, onAnswer, { autofocus: true, ...options });
+    }
+
+    /**
+     * Check an answer
+     * @param {Object} question - Question data
+     * @param {*} answer - User's answer
+     * @returns {boolean} True if correct
+     */
+    check(question, answer) {
+        return this.get(question).check(question, answer);
+    }
+
+    /**
+     * Show correct/incorrect state and disable controls
+     * @param {Object} question - Question data
+     * @param {HTMLElement} container - Container element
+     * @param {*} answer - User's answer
+     * @param {boolean} isCorrect - Whether answer was correct
+     */
+    showResult(question, container, answer, isCorrect) {
+        this.get(question).showResult(question, container, answer, isCorrect);
+    }
+
+    /**
+     * Format an answer as display text
+     * @param {Object} question - Question data
+     * @param {*} answer - Answer to format (correct answer if omitted)
+     * @returns {string} Answer text
+     */
+    formatAnswer(question, answer) {
+        return this.get(question).formatAnswer(question, answer);
+    }
+
+    /**
+     * Find the answer button chosen with a number key
+     * @param {HTMLElement} container - Container element
+     * @param {string} key - Pressed key
+     * @returns {HTMLButtonElement|null} Enabled, visible button for the key
+     */
+    getShortcutButton(container, key) {
+        if (!/^[1-9]$/.test(key)) return null;
+
+        const button = container.querySelector(`.option-btn[aria-keyshortcuts="${key}"]`);
+        return button && !button.disabled && !button.hidden ? button : null;
+    }
+}
+
+/**
+ * Create an answer button
+ * @param {string} text - Button label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createOptionButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'option-btn';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Let number keys choose answer buttons: 1 for the first, 2 for the second...
+ * @param {Array<HTMLButtonElement>} buttons - Answer buttons in display order
+ */
+function addShortcutKeys(buttons) {
+    buttons.slice(0, 9).forEach((button, index) => {
+        button.setAttribute('aria-keyshortcuts', String(index + 1));
+    });
+}
+
+/**
+ * Create a submit button for types that need an explicit submit
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createSubmitButton(onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-primary btn-submit-answer';
+    button.textContent = t('決定');
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Check a list of answer texts: at least two, all non-empty and different
+ * @param {*} list - Value of the question field
+ * @param {string} field - Field name for messages
+ * @returns {Array<string>} Error messages
+ */
+function validateTextList(list, field) {
+    if (!Array.isArray(list) || list.length < 2 ||
+        !list.every(item => typeof item === 'string' && item.trim())) {
+        return [t('「{field}」に2つ以上の文字列がありません。', { field })];
+    }
+    if (new Set(list).size !== list.length) {
+        return [t('「{field}」に同じ内容が重複しています。', { field })];
+    }
+    return [];
+}
+
+/**
+ * Disable all controls in a container
+ * @param {HTMLElement} container - Container element
+ */
+function disableAnswerControls(container) {
+    container.querySelectorAll('button, input, select').forEach(control => {
+        control.disabled = true;
+    });
+}
+
+// Shared handler for types that pick one of `options` by index
+const optionChoiceType = {
+    render(question, container, onAnswer) {
+        const buttons = question.options.map((option, index) =>
+            createOptionButton(option, () => onAnswer(index))
+        );
+        addShortcutKeys(buttons);
+        buttons.forEach(button => container.appendChild(button));
+    },
+
+    check(question, answer) {
+        return answer === question.correctAnswer;
+    },
+
+    showResult(question, container, answer, isCorrect) {
+        disableAnswerControls(container);
+        const optionButtons = container.querySelectorAll('.option-btn');
+        optionButtons[question.correctAnswer].classList.add('correct');
+        if (!isCorrect && optionButtons[answer]) {
+            optionButtons[answer].classList.add('incorrect');
+        }
+    },
+
+    formatAnswer(question, answer = question.correctAnswer) {
+        return question.options[answer] !== undefined ? question.options[answer] : '';
+    },
+
+    validate(question) {
+        const errors = validateTextList(question.options, 'options');
+        if (errors.length === 0 &&
+            !(Number.isInteger(question.correctAnswer) &&
+                question.correctAnswer >= 0 && question.correctAnswer < question.options.length)) {
+            errors.push(t('「correctAnswer」が選択肢の番号（0〜{max}）ではありません。', {
+                max: question.options.length - 1
+            }));
+        }
+        return errors;
+    }
+};
+
+const questionTypes = new QuestionTypeRegistry();
+
+// Multiple choice: `options` and `correctAnswer` index
+questionTypes.register('multiple_choice', optionChoiceType);
+
+// Who said this quote: `quote` shown above `options`
+questionTypes.register('quote', {
+    ...optionChoiceType,
+
+    render(question, container, onAnswer) {
+        const quote = document.createElement('blockquote');
+        quote.className = 'question-quote';
+        quote.textContent = `「${question.quote}」`;
+        container.appendChild(quote);
+        optionChoiceType.render(question, container, onAnswer);
+    },
+
+    validate(question) {
+        const errors = optionChoiceType.validate(question);
+        if (typeof question.quote !== 'string' || !question.quote.trim()) {
+            errors.push(t('「quote」がありません。'));
+        }
+        return errors;
+    }
+});
+
+// True/false: `correctAnswer` is a boolean
+questionTypes.register('true_false', {
+    choices: [
+        { value: true, label: '○ 正しい' },
+        { value: false, label: '× 誤り' }
+    ],
+
+    render(question, container, onAnswer) {
+        const row = document.createElement('div');
+        row.className = 'true-false-options';
+        const buttons = this.choices.map(choice =>
+            createOptionButton(t(choice.label), () => onAnswer(choice.value))
+        );
+        addShortcutKeys(buttons);
+        buttons.forEach(button => row.appendChild(button));
+        container.appendChild(row);
+    },
+
+    check(question, answer) {
+        return answer === question.correctAnswer;
+    },
+
+    showResult(question, container, answer, isCorrect) {
+        disableAnswerControls(container);
+        const optionButtons = container.querySelectorAll('.option-btn');
+        this.choices.forEach((choice, index) => {
+            if (choice.value === question.correctAnswer) {
+                optionButtons[index].classList.add('correct');
+            } else if (!isCorrect && choice.value === answer) {
+                optionButtons[index].classList.add('incorrect');
+            }
+        });
+    },
+
+    formatAnswer(question, answer = question.correctAnswer) {
+        const choice = this.choices.find(c => c.value === answer);
+        return choice ? t(choice.label) : '';
+    },
+
+    validate(question) {
+        return typeof question.correctAnswer === 'boolean'
+            ? []
+            : [t('「correctAnswer」がtrueかfalseではありません。')];
+    }
+});
+
+// Ordering: `items` listed in the correct order, shown shuffled
+questionTypes.register('ordering', {
+    render(question, container, onAnswer) {
+        const selected = [];
+
+        const answerList = document.createElement('ol');
+        answerList.className = 'ordering-answer';
+
+        const pool = document.createElement('div');
+        pool.className = 'ordering-pool';
+
+        const submit = createSubmitButton(() => onAnswer([...selected]));
+        submit.disabled = true;
+
+        const update = () => {
+            answerList.innerHTML = '';
+            selected.forEach((item, index) => {
+                const li = document.createElement('li');
+                const button = createOptionButton(item, () => {
+                    selected.splice(index, 1);
+                    update();
+                });
+                button.classList.add('ordering-item');
+                li.appendChild(button);
+                answerList.appendChild(li);
+            });
+
+            pool.querySelectorAll('.option-btn').forEach(button => {
+                button.hidden = selected.includes(button.dataset.item);
+            });
+
+            submit.disabled = selected.length !== question.items.length;
+        };
+
+        const poolButtons = shuffleArray(question.items).map(item => {
+            const button = createOptionButton(item, () => {
+                selected.push(item);
+                update();
+            });
+            button.dataset.item = item;
+            return button;
+        });
+        addShortcutKeys(poolButtons);
+        poolButtons.forEach(button => pool.appendChild(button));
+
+        const hint = document.createElement('p');
+        hint.className = 'answer-hint';
+        hint.textContent = t('タップした順に並びます。並べた項目をタップすると戻せます。');
+
+        container.appendChild(hint);
+        container.appendChild(answerList);
+        container.appendChild(pool);
+        container.appendChild(submit);
+    },
+
+    check(question, answer) {
+        return Array.isArray(answer) &&
+            answer.length === question.items.length &&
+            answer.every((item, index) => item === question.items[index]);
+    },
+
+    showResult(question, container, answer) {
+        disableAnswerControls(container);
+        const given = answer || [];
+        container.querySelectorAll('.ordering-answer .option-btn').forEach((button, index) => {
+            button.classList.add(given[index] === question.items[index] ? 'correct' : 'incorrect');
+        });
+    },
+
+    formatAnswer(question, answer = question.items) {
+        return answer.join(' → ');
+    },
+
+    validate(question) {
+        return validateTextList(question.items, 'items');
+    }
+});
+
+// Matching: `pairs` of { left, right }; answer is the chosen right per left
+questionTypes.register('matching', {
+    render(question, container, onAnswer) {
+        const rights = shuffleArray(question.pairs.map(pair => pair.right));
+        const selects = [];
+
+        const submit = createSubmitButton(() => onAnswer(selects.map(select => select.value)));
+        submit.disabled = true;
+
+        const list = document.createElement('div');
+        list.className = 'matching-list';
+
+        question.pairs.forEach(pair => {
+            const row = document.createElement('label');
+            row.className = 'matching-row';
+
+            const left = document.createElement('span');
+            left.className = 'matching-left';
+            left.textContent = pair.left;
+
+            const select = document.createElement('select');
+            select.className = 'filter-select matching-select';
+            select.innerHTML = `<option value="">${t('選択してください')}</option>` +
+                rights.map(right => `<option value="${escapeHtml(right)}">${escapeHtml(right)}</option>`).join('');
+            select.addEventListener('change', () => {
+                submit.disabled = selects.some(s => !s.value);
+            });
+            selects.push(select);
+
+            row.appendChild(left);
+            row.appendChild(select);
+            list.appendChild(row);
+        });
+
+        container.appendChild(list);
+        container.appendChild(submit);
+    },
+
+    check(question, answer) {
+        return Array.isArray(answer) &&
+            question.pairs.every((pair, index) => answer[index] === pair.right);
+    },
+
+    showResult(question, container, answer) {
+        disableAnswerControls(container);
+        const given = answer || [];
+        container.querySelectorAll('.matching-row').forEach((row, index) => {
+            row.classList.add(given[index] === question.pairs[index].right ? 'correct' : 'incorrect');
+        });
+    },
+
+    formatAnswer(question, answer = question.pairs.map(pair => pair.right)) {
+        return question.pairs.map((pair, index) => `${pair.left} ↔ ${answer[index] || '—'}`).join(' / ');
+    },
+
+    validate(question) {
+        if (!Array.isArray(question.pairs) ||
+            !question.pairs.every(pair => pair !== null && typeof pair === 'object')) {
+            return [t('「{field}」に2つ以上の文字列がありません。', { field: 'pairs' })];
+        }
+        // Answers are compared by the right side, so it must tell the pairs apart
+        return [
+            ...validateTextList(question.pairs.map(pair => pair.left), 'pairs.left'),
+            ...validateTextList(question.pairs.map(pair => pair.right), 'pairs.right')
+        ];
+    }
+});
+
+// Free text: `acceptedAnswers` compared after kana/romaji normalization
+questionTypes.register('free_text', {
+    render(question, container, onAnswer, options) {
+        const form = document.createElement('form');
+        form.className = 'free-text-form';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'search-input free-text-input';
+        input.placeholder = t('ひらがな・カタカナ・ローマ字で入力');
+        input.autocomplete = 'off';
+
+        const submit = createSubmitButton(() => {});
+        submit.type = 'submit';
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (input.value.trim()) {
+                onAnswer(input.value);
+            }
+        });
+
+        form.appendChild(input);
+        form.appendChild(submit);
+        container.appendChild(form);
+        if (options.autofocus) {
+            input.focus();
+        }
+    },
+
+    check(question, answer) {
+        const normalized = normalizeAnswerText(answer || '');
+        return normalized.length > 0 &&
+            question.acceptedAnswers.some(accepted => normalizeAnswerText(accepted) === normalized);
+    },
+
+    showResult(question, container, answer, isCorrect) {
+        disableAnswerControls(container);
+        container.querySelector('.free-text-input').classList.add(isCorrect ? 'correct' : 'incorrect');
+    },
+
+    formatAnswer(question, answer = question.acceptedAnswers[0]) {
+        return answer;
+    },
+
+    validate(question) {
+        const answers = question.acceptedAnswers;
+        if (!Array.isArray(answers) || answers.length === 0 ||
+            !answers.every(answer => typeof answer === 'string' && normalizeAnswerText(answer))) {
+            return [t('「acceptedAnswers」に答えの文字列がありません。')];
+        }
+        return [];
+    }
+});
@@ -5,13 +5,22 @@
 class QuizManager {
     constructor() {
         this.questions = [];
+        this.figures = [];
+        // Questions without content packs, built when first needed
+        this.builtInQuestions = null;
         this.currentQuestions = [];
         this.currentQuestionIndex = 0;
         this.score = 0;
         this.correctAnswers = 0;
         this.wrongAnswers = [];
+        this.categoryBreakdown = {};
         this.consecutiveCorrect = 0;
         this.difficulty = 'beginner';
+        this.mode = 'normal';
+        this.timeLimit = null;
+        this.questionStartedAt = null;
+        this.sessionLength = 0;
+        this.startRating = null;
         this.isAnswered = false;
     }
 
@@ -22,38 +31,355 @@ class QuizManager {
         try {
             const response = await fetch('data/questions.json');
             const data = await response.json();
-            this.questions = data.questions;
+            this.questions = data.questions.map(question => i18n.localize(question));
             debug('Questions loaded', this.questions.length);
         } catch (error) {
             console.error('Error loading questions:', error);
-            alert('問題データの読み込みに失敗しました。');
+            alert(t('問題データの読み込みに失敗しました。'));
         }
     }
 
+    /**
+     * Replace the question pool
+     * @param {Array} questions - Questions
+     */
+    setQuestions(questions) {
+        this.questions = questions;
+        this.builtInQuestions = null;
+    }
+
+    /**
+     * Add questions to the pool, skipping IDs that already exist
+     * @param {Array} questions - Questions to add
+     */
+    addQuestions(questions) {
+        const existingIds = new Set(this.questions.map(q => q.id));
+        const added = questions.filter(q => !existingIds.has(q.id));
+        this.questions.push(...added);
+        debug('Questions added', added.length);
+    }
+
+    /**
+     * Set figures used to resolve question categories
+     * @param {Array} figures - All figures
+     */
+    setFigures(figures) {
+        this.figures = figures;
+        this.builtInQuestions = null;
+    }
+
+    /**
+     * Get the questions of the built-in data alone, as if no content pack
+     * were enabled. Questions are generated again from the built-in figures,
+     * since pack figures also appear in generated options and orderings.
+     * @returns {Array} Built-in questions
+     */
+    getBuiltInQuestions() {
+        if (!this.figures.some(figure => figure.pack)) return this.questions;
+
+        if (!this.builtInQuestions) {
+            this.builtInQuestions = [
+                ...this.questions.filter(question => !question.pack && question.source !== 'generated'),
+                ...questionGenerator.generate(this.figures.filter(figure => !figure.pack))
+            ];
+        }
+        return this.builtInQuestions;
+    }
+
+    /**
+     * Get category of a question through its figure
+     * @param {Object} question - Question data
+     * @returns {string|null} Category ID
+     */
+    getQuestionCategory(question) {
+        const figure = this.figures.find(f => f.id === question.figureId);
+        return figure ? figure.category : null;
+    }
+
+    /**
+     * Get the country codes of a question through its figure
+     * @param {Object} question - Question data
+     * @returns {Array<string>} ISO 3166-1 alpha-2 codes
+     */
+    getQuestionCountries(question) {
+        const figure = this.figures.find(f => f.id === question.figureId);
+        return figure && figure.countries ? figure.countries : [];
+    }
+
     /**
      * Start a new quiz
      * @param {string} difficulty - Quiz difficulty
+     * @param {number} [timeLimit] - Seconds per question for timed mode
      */
-    startQuiz(difficulty) {
+    startQuiz(difficulty, timeLimit = null) {
+        // Select 10 questions for this difficulty
+        const questions = this.selectQuestions(difficulty, 10);
+
+        if (questions.length === 0) {
+            alert(t('この難易度の問題がありません。'));
+            return false;
+        }
+
+        this.resetSession('normal', difficulty);
+        this.timeLimit = timeLimit;
+        this.currentQuestions = questions;
+
+        debug(`Quiz started: ${difficulty}, ${this.currentQuestions.length} questions`);
+        return true;
+    }
+
+    /**
+     * Start an adaptive quiz. Questions are picked one at a time
+     * to match the rating estimated from the answers so far.
+     * @param {number} [timeLimit] - Seconds per question for timed mode
+     */
+    startAdaptiveQuiz(timeLimit = null) {
+        const first = adaptive.selectNextQuestion(this.questions);
+        if (!first) {
+            alert(t('問題がありません。'));
+            return false;
+        }
+
+        this.resetSession('adaptive', 'adaptive');
+        this.timeLimit = timeLimit;
+        this.sessionLength = adaptive.sessionLength;
+        this.startRating = adaptive.getUserRating().rating;
+        this.currentQuestions = [first];
+
+        debug(`Adaptive quiz started at rating ${this.startRating}`);
+        return true;
+    }
+
+    /**
+     * Start a review session with questions due today
+     */
+    startReview() {
+        const questions = review.selectReviewQuestions(this.questions);
+
+        if (questions.length === 0) {
+            alert(t('今日復習する問題はありません。'));
+            return false;
+        }
+
+        this.resetSession('review', 'mixed');
+        this.currentQuestions = questions;
+
+        debug(`Review started: ${this.currentQuestions.length} questions`);
+        return true;
+    }
+
+    /**
+     * Start today's daily challenge with a date-seeded question set.
+     * Content packs are left out so every player gets the same set.
+     */
+    startDailyChallenge() {
+        if (daily.isCompletedToday()) {
+            alert(t('今日のデイリーチャレンジは完了しています。また明日挑戦しよう！'));
+            return false;
+        }
+
+        const questions = daily.getDailyQuestions(this.getBuiltInQuestions());
+
+        if (questions.length === 0) {
+            alert(t('デイリーチャレンジの問題がありません。'));
+            return false;
+        }
+
+        this.resetSession('daily', 'mixed');
+        this.currentQuestions = questions;
+
+        debug(`Daily challenge started: ${this.currentQuestions.length} questions`);
+        return true;
+    }
+
+    /**
+     * Start a quiz built from custom options
+     * @param {Object} options - Custom quiz options
+     * @param {Array<string>} options.categories - Categories to include (all if empty)
+     * @param {Array<string>} options.countries - Country codes to include (all if empty)
+     * @param {Array<string>} options.figureIds - Figures to include; overrides categories and countries if not empty
+     * @param {Array<string>} options.difficulties - Difficulties to mix (all if empty)
+     * @param {number} options.questionCount - Number of questions
+     */
+    startCustomQuiz(options) {
+        const questions = this.selectCustomQuestions(options);
+
+        if (questions.length === 0) {
+            alert(t('条件に合う問題がありません。'));
+            return false;
+        }
+
+        this.resetSession('custom', 'mixed');
+        this.currentQuestions = questions;
+
+        debug(`Custom quiz started: ${this.currentQuestions.length} questions`, options);
+        return true;
+    }
+
+    /**
+     * Get all questions matching custom quiz options
+     * @param {Object} options - Custom quiz options
+     * @returns {Array} Matching questions
+     */
+    getCustomQuestionPool(options) {
+        return this.questions.filter(q => {
+            if (options.difficulties.length > 0 && !options.difficulties.includes(q.difficulty)) {
+                return false;
+            }
+            if (options.figureIds.length > 0) {
+                return options.figureIds.includes(q.figureId);
+            }
+            if (options.categories.length > 0 && !options.categories.includes(this.getQuestionCategory(q))) {
+                return false;
+            }
+            if (options.countries.length > 0 &&
+                !this.getQuestionCountries(q).some(code => options.countries.includes(code))) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Select questions for custom options, taking turns between difficulties
+     * so the chosen difficulties are mixed evenly
+     * @param {Object} options - Custom quiz options
+     * @returns {Array} Selected questions
+     */
+    selectCustomQuestions(options) {
+        const pool = this.getCustomQuestionPool(options);
+        const difficulties = [...new Set(pool.map(q => q.difficulty))];
+        const queues = difficulties.map(difficulty =>
+            this.orderByPreference(pool.filter(q => q.difficulty === difficulty))
+        );
+
+        const selected = [];
+        while (selected.length < options.questionCount && queues.some(queue => queue.length > 0)) {
+            queues.forEach(queue => {
+                if (queue.length > 0 && selected.length < options.questionCount) {
+                    selected.push(queue.shift());
+                }
+            });
+        }
+
+        return shuffleArray(selected);
+    }
+
+    /**
+     * Reset session state. A saved session that was not finished
+     * is recorded as abandoned, since starting a new quiz replaces it;
+     * so call this only once the new quiz has its questions.
+     * @param {string} mode - Quiz mode ('normal', 'adaptive', 'review', 'daily' or 'custom')
+     * @param {string} difficulty - Quiz difficulty
+     */
+    resetSession(mode, difficulty) {
+        this.abandonSession();
+
+        this.mode = mode;
         this.difficulty = difficulty;
         this.currentQuestionIndex = 0;
         this.score = 0;
         this.correctAnswers = 0;
         this.wrongAnswers = [];
+        this.categoryBreakdown = {};
         this.consecutiveCorrect = 0;
+        this.timeLimit = null;
+        this.questionStartedAt = null;
+        this.sessionLength = 0;
+        this.startRating = null;
+        this.isAnswered = false;
+    }
 
-        // Select 10 questions for this difficulty
-        this.currentQuestions = this.selectQuestions(difficulty, 10);
+    /**
+     * Save the session so it can be resumed after leaving the quiz.
+     * Called after every answer, so the saved index is the last answered question.
+     */
+    saveSession() {
+        storage.saveActiveSession({
+            mode: this.mode,
+            difficulty: this.difficulty,
+            timeLimit: this.timeLimit,
+            sessionLength: this.sessionLength,
+            startRating: this.startRating,
+            questionIds: this.currentQuestions.map(q => q.id),
+            currentQuestionIndex: this.currentQuestionIndex,
+            score: this.score,
+            correctAnswers: this.correctAnswers,
+            wrongAnswers: this.wrongAnswers,
+            categoryBreakdown: this.categoryBreakdown,
+            consecutiveCorrect: this.consecutiveCorrect,
+            date: getToday(),
+            updatedAt: Date.now()
+        });
+    }
+
+    /**
+     * Restore the saved session. Question data must still contain every
+     * question of the session, and a daily challenge can only be resumed
+     * on the day it was started; otherwise the session is abandoned.
+     * @returns {boolean} True if the session was restored
+     */
+    resumeSession() {
+        const session = storage.getActiveSession();
+        if (!session) return false;
 
-        if (this.currentQuestions.length === 0) {
-            alert('この難易度の問題がありません。');
+        const questions = session.questionIds.map(id => this.questions.find(q => q.id === id));
+        if (questions.some(q => !q)) {
+            this.abandonSession();
+            alert(t('問題データが変わったため、中断したクイズを再開できません。'));
+            return false;
+        }
+        if (session.mode === 'daily' && session.date !== getToday()) {
+            this.abandonSession();
+            alert(t('前の日のデイリーチャレンジは再開できません。'));
             return false;
         }
 
-        debug(`Quiz started: ${difficulty}, ${this.currentQuestions.length} questions`);
+        this.mode = session.mode;
+        this.difficulty = session.difficulty;
+        this.timeLimit = session.timeLimit;
+        this.sessionLength = session.sessionLength;
+        this.startRating = session.startRating;
+        this.currentQuestions = questions;
+        this.currentQuestionIndex = session.currentQuestionIndex;
+        this.score = session.score;
+        this.correctAnswers = session.correctAnswers;
+        this.wrongAnswers = session.wrongAnswers;
+        this.categoryBreakdown = session.categoryBreakdown;
+        this.consecutiveCorrect = session.consecutiveCorrect;
+        this.questionStartedAt = null;
+        this.isAnswered = true;
+
+        debug(`Session resumed: ${this.mode}, question ${this.currentQuestionIndex + 1}`);
         return true;
     }
 
+    /**
+     * Record the saved session as abandoned and remove it.
+     * Abandoned quizzes earn no points and do not count as completed.
+     */
+    abandonSession() {
+        const session = storage.getActiveSession();
+        if (!session) return;
+
+        const answered = session.currentQuestionIndex + 1;
+        storage.addQuizToHistory({
+            mode: session.mode,
+            difficulty: session.difficulty,
+            timeLimit: session.timeLimit,
+            status: 'abandoned',
+            score: session.score,
+            correctAnswers: session.correctAnswers,
+            totalQuestions: answered,
+            plannedQuestions: session.mode === 'adaptive' ? session.sessionLength : session.questionIds.length,
+            accuracyRate: calculatePercentage(session.correctAnswers, answered),
+            categoryBreakdown: session.categoryBreakdown
+        });
+        storage.clearActiveSession();
+
+        debug(`Session abandoned after ${answered} questions`);
+    }
+
     /**
      * Select random questions for difficulty
      * @param {string} difficulty - Difficulty level
@@ -62,8 +388,19 @@ class QuizManager {
      */
     selectQuestions(difficulty, count) {
         const availableQuestions = this.questions.filter(q => q.difficulty === difficulty);
-        const shuffled = shuffleArray(availableQuestions);
-        return shuffled.slice(0, count);
+        return shuffleArray(this.orderByPreference(availableQuestions).slice(0, count));
+    }
+
+    /**
+     * Shuffle questions, putting hand-written ones before generated ones
+     * so generated questions only fill the remainder
+     * @param {Array} questions - Questions to order
+     * @returns {Array} Ordered questions
+     */
+    orderByPreference(questions) {
+        const handWritten = questions.filter(q => q.source !== 'generated');
+        const generated = questions.filter(q => q.source === 'generated');
+        return [...shuffleArray(handWritten), ...shuffleArray(generated)];
     }
 
     /**
@@ -74,28 +411,66 @@ class QuizManager {
         return this.currentQuestions[this.currentQuestionIndex];
     }
 
+    /**
+     * Get the number of questions in this session.
+     * Adaptive quizzes choose their questions as they go, so the
+     * planned length is used instead of the questions chosen so far.
+     * @returns {number} Number of questions
+     */
+    getTotalQuestions() {
+        return this.mode === 'adaptive' ? this.sessionLength : this.currentQuestions.length;
+    }
+
+    /**
+     * Start timing the current question
+     */
+    beginQuestion() {
+        this.questionStartedAt = Date.now();
+    }
+
+    /**
+     * Get time spent on the current question
+     * @returns {number} Elapsed time in ms
+     */
+    getElapsedTime() {
+        return this.questionStartedAt === null ? 0 : Date.now() - this.questionStartedAt;
+    }
+
     /**
      * Check if answer is correct
-     * @param {number} selectedOption - Selected option index
+     * @param {*} answer - User's answer (format depends on question type);
+     *     null when the time ran out
      * @returns {Object} Result information
      */
-    checkAnswer(selectedOption) {
+    checkAnswer(answer) {
         if (this.isAnswered) return null;
 
         const question = this.getCurrentQuestion();
-        const isCorrect = selectedOption === question.correctAnswer;
+        const timedOut = answer === null;
+        const isCorrect = !timedOut && questionTypes.check(question, answer);
+        const responseTime = this.timeLimit
+            ? Math.min(this.getElapsedTime(), this.timeLimit * 1000)
+            : this.getElapsedTime();
 
         this.isAnswered = true;
 
+        // Record answer and reschedule for review
+        review.recordAnswer(question.id, isCorrect, responseTime);
+        this.recordStatistics(question, isCorrect, responseTime);
+        const rating = adaptive.recordAnswer(question, isCorrect);
+
+        let points = 0;
         if (isCorrect) {
             this.correctAnswers++;
             this.consecutiveCorrect++;
 
             // Calculate points
-            const points = gamification.calculatePoints(
-                this.difficulty,
+            points = gamification.calculatePoints(
+                question.difficulty,
                 true,
-                this.consecutiveCorrect
+                this.consecutiveCorrect,
+                this.timeLimit ? responseTime : null,
+                this.timeLimit
             );
             this.score += points;
 
@@ -104,25 +479,56 @@ class QuizManager {
             this.consecutiveCorrect = 0;
             this.wrongAnswers.push({
                 question: question.question,
-                correctAnswer: question.options[question.correctAnswer],
-                userAnswer: question.options[selectedOption]
+                correctAnswer: questionTypes.formatAnswer(question),
+                userAnswer: timedOut ? t('時間切れ') : questionTypes.formatAnswer(question, answer)
             });
 
-            debug('Incorrect');
+            debug(timedOut ? 'Timed out' : 'Incorrect');
         }
 
+        this.saveSession();
+
         return {
             isCorrect,
+            timedOut,
+            responseTime,
             correctAnswer: question.correctAnswer,
+            correctAnswerText: questionTypes.formatAnswer(question),
             explanation: question.explanation,
-            points: isCorrect ? gamification.calculatePoints(
-                this.difficulty,
-                true,
-                this.consecutiveCorrect
-            ) : 0
+            rating,
+            points
         };
     }
 
+    /**
+     * Record statistics for an answered question
+     * @param {Object} question - Answered question
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {number} responseTime - Time taken to answer in ms
+     */
+    recordStatistics(question, isCorrect, responseTime) {
+        const category = this.getQuestionCategory(question);
+
+        storage.updateStatistics({
+            totalQuestions: 1,
+            correctAnswers: isCorrect ? 1 : 0,
+            category,
+            figureId: question.figureId,
+            difficulty: question.difficulty,
+            responseTime
+        });
+
+        if (category) {
+            if (!this.categoryBreakdown[category]) {
+                this.categoryBreakdown[category] = { total: 0, correct: 0 };
+            }
+            this.categoryBreakdown[category].total++;
+            if (isCorrect) {
+                this.categoryBreakdown[category].correct++;
+            }
+        }
+    }
+
     /**
      * Move to next question
      * @returns {boolean} True if there are more questions
@@ -130,6 +536,14 @@ class QuizManager {
     nextQuestion() {
         this.isAnswered = false;
         this.currentQuestionIndex++;
+
+        if (this.mode === 'adaptive' && this.currentQuestions.length < this.sessionLength) {
+            const next = adaptive.selectNextQuestion(this.questions, this.currentQuestions.map(q => q.id));
+            if (next) {
+                this.currentQuestions.push(next);
+            }
+        }
+
         return this.currentQuestionIndex < this.currentQuestions.length;
     }
 
@@ -141,37 +555,46 @@ class QuizManager {
         const totalQuestions = this.currentQuestions.length;
         const accuracyRate = calculatePercentage(this.correctAnswers, totalQuestions);
 
-        // Add experience (same as points for now)
-        const levelUpInfo = gamification.addExperience(this.score);
+        // Complete daily challenge and add its bonus to the score
+        let dailyResult = null;
+        if (this.mode === 'daily') {
+            dailyResult = daily.completeChallenge({
+                score: this.score,
+                correctAnswers: this.correctAnswers,
+                totalQuestions
+            });
+            if (dailyResult) {
+                this.score += dailyResult.bonus;
+            }
+        }
 
-        // Update statistics
-        storage.updateStatistics({
-            totalQuestions,
-            correctAnswers: this.correctAnswers
-        });
+        // Add points and experience (same as points for now)
+        storage.addPoints(this.score);
+        const levelUpInfo = gamification.addExperience(this.score);
 
         // Update streak
         const newStreak = storage.updateStreak();
 
-        // Check for new badges
-        const newBadges = gamification.checkBadgeConditions({
-            correctAnswers: this.correctAnswers,
-            totalQuestions,
-            difficulty: this.difficulty
-        });
-
         // Unlock figures based on questions answered
-        this.unlockFiguresFromQuiz();
+        const masterBadges = this.unlockFiguresFromQuiz();
 
-        // Save quiz to history
+        // Save quiz to history; it no longer needs to be resumed
+        storage.clearActiveSession();
         storage.addQuizToHistory({
+            mode: this.mode,
             difficulty: this.difficulty,
+            timeLimit: this.timeLimit,
+            status: 'completed',
             score: this.score,
             correctAnswers: this.correctAnswers,
             totalQuestions,
-            accuracyRate
+            accuracyRate,
+            categoryBreakdown: this.categoryBreakdown
         });
 
+        // Check for new badges now that this quiz is counted
+        const newBadges = [...masterBadges, ...gamification.checkBadgeConditions()];
+
         return {
             score: this.score,
             correctAnswers: this.correctAnswers,
@@ -180,12 +603,19 @@ class QuizManager {
             wrongAnswers: this.wrongAnswers,
             levelUpInfo,
             newBadges,
-            newStreak
+            newStreak,
+            dailyResult,
+            ratingChange: this.mode === 'adaptive'
+                ? { before: this.startRating, after: adaptive.getUserRating().rating }
+                : null
         };
     }
 
     /**
-     * Unlock figures based on quiz questions
+     * Unlock figures based on quiz questions and check mastery of their categories.
+     * Categories are checked even without new unlocks, since with a minimum
+     * accuracy setting mastery can also be reached by answering better.
+     * @returns {Array} Newly awarded category master badges
      */
     unlockFiguresFromQuiz() {
         const figureIds = this.currentQuestions.map(q => q.figureId);
@@ -194,6 +624,15 @@ class QuizManager {
         uniqueFigureIds.forEach(figureId => {
             storage.unlockFigure(figureId);
         });
+
+        const categories = new Set(uniqueFigureIds
+            .map(figureId => this.figures.find(f => f.id === figureId))
+            .filter(Boolean)
+            .map(figure => figure.category));
+
+        return [...categories]
+            .map(category => gamification.checkCategoryMaster(category))
+            .filter(Boolean);
     }
 
     /**
@@ -201,7 +640,7 @@ class QuizManager {
      * @returns {number} Progress percentage
      */
     getProgress() {
-        return calculatePercentage(this.currentQuestionIndex + 1, this.currentQuestions.length);
+        return calculatePercentage(this.currentQuestionIndex + 1, this.getTotalQuestions());
     }
 }
 
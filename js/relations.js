@@ -0,0 +1,92 @@
+// ===================================
+// Relation Manager (Figure Relations)
+// ===================================
+
+/*
+ * A relation is stored once, on one of the two figures:
+ *   { "type": "influenced", "figureId": "newton", "note": "..." }
+ * means "this figure influenced Newton". Directed types read from the figure
+ * that holds the relation to the other one; the other figure shows the
+ * reverse label. Symmetric types read the same from both sides.
+ * `name` is the type itself, used in the graph legend. The names and labels
+ * are Japanese and displayed through t().
+ */
+const RELATION_TYPES = {
+    influenced: { name: '影響', label: '影響を与えた', reverseLabel: '影響を受けた', directed: true },
+    teacher_of: { name: '師弟', label: '教え子', reverseLabel: '師', directed: true },
+    rival: { name: 'ライバル', label: 'ライバル', reverseLabel: 'ライバル', directed: false },
+    contemporary: { name: '同時代', label: '同時代の人物', reverseLabel: '同時代の人物', directed: false }
+};
+
+class RelationManager {
+    constructor() {
+        this.figures = [];
+        this.edges = [];
+    }
+
+    /**
+     * Set figures data and collect their relations.
+     * Relations with an unknown type or figure are skipped.
+     * @param {Array} figures - Figures data
+     */
+    setFigures(figures) {
+        this.figures = figures;
+        const ids = new Set(figures.map(figure => figure.id));
+
+        this.edges = [];
+        figures.forEach(figure => {
+            (figure.relations || []).forEach(relation => {
+                if (!RELATION_TYPES[relation.type]) {
+                    console.warn(`Unknown relation type on ${figure.id}: ${relation.type}`);
+                    return;
+                }
+                if (!ids.has(relation.figureId) || relation.figureId === figure.id) {
+                    console.warn(`Unknown related figure on ${figure.id}: ${relation.figureId}`);
+                    return;
+                }
+                this.edges.push({
+                    source: figure.id,
+                    target: relation.figureId,
+                    type: relation.type,
+                    note: i18n.localize(relation).note || ''
+                });
+            });
+        });
+
+        debug('Relations loaded', this.edges.length);
+    }
+
+    /**
+     * Get the figures related to a figure, labelled from its side
+     * @param {string} figureId - Figure ID
+     * @returns {Array<Object>} { figure, type, label, note }
+     */
+    getRelatedFigures(figureId) {
+        return this.edges
+            .filter(edge => edge.source === figureId || edge.target === figureId)
+            .map(edge => {
+                const isSource = edge.source === figureId;
+                const otherId = isSource ? edge.target : edge.source;
+                const type = RELATION_TYPES[edge.type];
+                return {
+                    figure: this.figures.find(f => f.id === otherId),
+                    type: edge.type,
+                    label: t(isSource ? type.label : type.reverseLabel),
+                    note: edge.note
+                };
+            });
+    }
+
+    /**
+     * Get the relations between figures of a set
+     * @param {Array<string>} figureIds - Figure IDs
+     * @returns {Array<Object>} { source, target, type, note }
+     */
+    getEdgesBetween(figureIds) {
+        const ids = new Set(figureIds);
+        return this.edges.filter(edge => ids.has(edge.source) && ids.has(edge.target));
+    }
+}
+
+// Create global instance
+const relations = new RelationManager();
@@ -0,0 +1,129 @@
+// ===================================
+// Review Manager (Spaced Repetition)
+// ===================================
+
+class ReviewManager {
+    constructor() {
+        this.maxAnswersPerQuestion = 20;
+        this.initialEaseFactor = 2.5;
+        this.minEaseFactor = 1.3;
+        this.sessionSize = 10;
+    }
+
+    /**
+     * Create an empty history entry for a question
+     * @returns {Object} History entry
+     */
+    createEntry() {
+        return {
+            answers: [],
+            repetitions: 0,
+            easeFactor: this.initialEaseFactor,
+            interval: 0,
+            dueDate: null
+        };
+    }
+
+    /**
+     * Record an answer and reschedule the question
+     * @param {string} questionId - Question ID
+     * @param {boolean} isCorrect - Whether answer was correct
+     * @param {number} [responseTime] - Time taken to answer in ms
+     * @returns {Object|null} Updated history entry
+     */
+    recordAnswer(questionId, isCorrect, responseTime = null) {
+        const userData = storage.loadUserData();
+        if (!userData) return null;
+
+        if (!userData.questionHistory) {
+            userData.questionHistory = {};
+        }
+
+        const entry = userData.questionHistory[questionId] || this.createEntry();
+
+        entry.answers.push({
+            correct: isCorrect,
+            timestamp: Date.now(),
+            responseTime
+        });
+
+        // Keep only the most recent answers
+        if (entry.answers.length > this.maxAnswersPerQuestion) {
+            entry.answers = entry.answers.slice(-this.maxAnswersPerQuestion);
+        }
+
+        this.schedule(entry, isCorrect);
+        userData.questionHistory[questionId] = entry;
+        storage.saveUserData(userData);
+
+        debug(`Question ${questionId} due on ${entry.dueDate}`, entry);
+        return entry;
+    }
+
+    /**
+     * Update interval and due date using the SM-2 algorithm
+     * @param {Object} entry - History entry to update
+     * @param {boolean} isCorrect - Whether answer was correct
+     */
+    schedule(entry, isCorrect) {
+        // SM-2 expects a 0-5 quality grade; map correct/incorrect onto it
+        const quality = isCorrect ? 4 : 1;
+
+        if (isCorrect) {
+            if (entry.repetitions === 0) {
+                entry.interval = 1;
+            } else if (entry.repetitions === 1) {
+                entry.interval = 6;
+            } else {
+                entry.interval = Math.round(entry.interval * entry.easeFactor);
+            }
+            entry.repetitions += 1;
+        } else {
+            entry.repetitions = 0;
+            entry.interval = 1;
+        }
+
+        entry.easeFactor = Math.max(
+            this.minEaseFactor,
+            entry.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+        entry.dueDate = addDays(getToday(), entry.interval);
+    }
+
+    /**
+     * Get questions due for review, most overdue first
+     * @param {Array} questions - All questions
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {Array} Due questions
+     */
+    getDueQuestions(questions, date = getToday()) {
+        const userData = storage.loadUserData();
+        const history = (userData && userData.questionHistory) || {};
+
+        return questions
+            .filter(q => history[q.id] && history[q.id].dueDate && history[q.id].dueDate <= date)
+            .sort((a, b) => history[a.id].dueDate.localeCompare(history[b.id].dueDate));
+    }
+
+    /**
+     * Count questions due for review
+     * @param {Array} questions - All questions
+     * @returns {number} Number of due questions
+     */
+    getDueCount(questions) {
+        return this.getDueQuestions(questions).length;
+    }
+
+    /**
+     * Select questions for a review session
+     * @param {Array} questions - All questions
+     * @param {number} count - Maximum number of questions
+     * @returns {Array} Selected questions
+     */
+    selectReviewQuestions(questions, count = this.sessionSize) {
+        return shuffleArray(this.getDueQuestions(questions).slice(0, count));
+    }
+}
+
+// Create global instance
+const review = new ReviewManager();
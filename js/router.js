@@ -0,0 +1,132 @@
+// ===================================
+// Router (Hash-based)
+// ===================================
+
+class Router {
+    constructor() {
+        this.routes = [];
+        this.currentPath = null;
+        this.fallbackPath = '/';
+        this.isResolving = false;
+    }
+
+    /**
+     * Register a route
+     * @param {string} pattern - Path pattern; segments starting with ':' are parameters
+     *     (e.g. '/encyclopedia/:figureId')
+     * @param {Function} handler - (params) => void
+     */
+    add(pattern, handler) {
+        this.routes.push({
+            segments: this.splitPath(pattern),
+            handler
+        });
+    }
+
+    /**
+     * Split a path into its segments
+     * @param {string} path - Path such as '/quiz/advanced'
+     * @returns {Array<string>} Segments
+     */
+    splitPath(path) {
+        return path.split('/').filter(Boolean);
+    }
+
+    /**
+     * Find the route for a path. A parameter with a malformed escape (e.g. from
+     * a mistyped shared link) matches no route.
+     * @param {string} path - Path
+     * @returns {Object|null} { handler, params }
+     */
+    match(path) {
+        const segments = this.splitPath(path);
+
+        for (const route of this.routes) {
+            if (route.segments.length !== segments.length) continue;
+
+            const params = {};
+            const matched = route.segments.every((segment, index) => {
+                if (segment.startsWith(':')) {
+                    try {
+                        params[segment.slice(1)] = decodeURIComponent(segments[index]);
+                    } catch (error) {
+                        console.warn(`Malformed path segment: ${segments[index]}`);
+                        return false;
+                    }
+                    return true;
+                }
+                return segment === segments[index];
+            });
+
+            if (matched) {
+                return { handler: route.handler, params };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the path in the current URL
+     * @returns {string} Path, '/' when the URL has no hash
+     */
+    getPath() {
+        return window.location.hash.replace(/^#/, '') || '/';
+    }
+
+    /**
+     * Start following the URL; back and forward run the route of the new URL
+     */
+    start() {
+        window.addEventListener('popstate', () => this.resolve());
+        this.resolve();
+    }
+
+    /**
+     * Run the route for the current URL. Unknown paths are replaced with the fallback path.
+     */
+    resolve() {
+        const path = this.getPath();
+        const route = this.match(path);
+
+        if (!route) {
+            console.warn(`No route for ${path}`);
+            this.sync(this.fallbackPath, true);
+            this.resolve();
+            return;
+        }
+
+        this.currentPath = path;
+        debug(`Route: ${path}`, route.params);
+
+        this.isResolving = true;
+        try {
+            route.handler(route.params);
+        } finally {
+            this.isResolving = false;
+        }
+    }
+
+    /**
+     * Put a path in the URL without running its route, for screens the app
+     * opened itself. Nothing is added to the history if the path is unchanged.
+     * While a route is running, the path it ends up on replaces the routed
+     * entry, so redirects and screens opened by the route do not add entries.
+     * @param {string} path - Path
+     * @param {boolean} [replace] - Replace the current history entry instead of adding one
+     */
+    sync(path, replace = false) {
+        if (path === this.currentPath) return;
+
+        this.currentPath = path;
+        const url = `#${path}`;
+        if (replace || this.isResolving) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+}
+
+// Create global instance
+const router = new Router();
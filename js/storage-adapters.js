@@ -0,0 +1,244 @@
+// ===================================
+// Storage Adapters
+// ===================================
+
+/*
+ * All adapters share the same asynchronous interface:
+ *   get(key)        -> Promise<*>        stored value, or undefined
+ *   set(key, value) -> Promise<void>
+ *   remove(key)     -> Promise<void>
+ *   keys()          -> Promise<string[]>
+ * Values are plain JSON-compatible objects.
+ */
+
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.data = new Map();
+    }
+
+    /**
+     * Memory storage is always available
+     * @returns {boolean} True
+     */
+    static isAvailable() {
+        return true;
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Key
+     * @returns {Promise<*>} Stored value, or undefined
+     */
+    async get(key) {
+        return this.data.has(key) ? deepClone(this.data.get(key)) : undefined;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Key
+     * @param {*} value - JSON-compatible value
+     */
+    async set(key, value) {
+        this.data.set(key, deepClone(value));
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Key
+     */
+    async remove(key) {
+        this.data.delete(key);
+    }
+
+    /**
+     * List stored keys
+     * @returns {Promise<Array<string>>} Keys
+     */
+    async keys() {
+        return [...this.data.keys()];
+    }
+}
+
+class LocalStorageAdapter {
+    /**
+     * @param {string} prefix - Key prefix to keep app data separate
+     */
+    constructor(prefix = '') {
+        this.name = 'localStorage';
+        this.prefix = prefix;
+    }
+
+    /**
+     * Check if localStorage can be written
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, testKey);
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Key
+     * @returns {Promise<*>} Stored value, or undefined
+     */
+    async get(key) {
+        const value = localStorage.getItem(this.prefix + key);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Key
+     * @param {*} value - JSON-compatible value
+     */
+    async set(key, value) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Key
+     */
+    async remove(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    /**
+     * List stored keys
+     * @returns {Promise<Array<string>>} Keys
+     */
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(this.prefix)) {
+                keys.push(key.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+}
+
+class IndexedDBStorageAdapter {
+    /**
+     * @param {string} databaseName - Database name
+     * @param {string} storeName - Object store name
+     */
+    constructor(databaseName = 'greatFiguresApp', storeName = 'keyval') {
+        this.name = 'indexedDB';
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB exists in this browser
+     * @returns {boolean} True if available
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database once and reuse the connection
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request in a transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - (store) => IDBRequest
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Key
+     * @returns {Promise<*>} Stored value, or undefined
+     */
+    async get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Key
+     * @param {*} value - JSON-compatible value
+     */
+    async set(key, value) {
+        await this.run('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Key
+     */
+    async remove(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * List stored keys
+     * @returns {Promise<Array<string>>} Keys
+     */
+    async keys() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+}
+
+/**
+ * Create the preferred available storage adapter.
+ * IndexedDB is tried first; if it cannot be opened (e.g. private browsing),
+ * localStorage and then memory are used instead.
+ * @returns {Promise<Object>} Storage adapter
+ */
+async function createStorageAdapter() {
+    if (IndexedDBStorageAdapter.isAvailable()) {
+        const adapter = new IndexedDBStorageAdapter();
+        try {
+            await adapter.open();
+            return adapter;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back:', error);
+        }
+    }
+
+    if (LocalStorageAdapter.isAvailable()) {
+        return new LocalStorageAdapter();
+    }
+
+    console.warn('No persistent storage available; progress will not be saved');
+    return new MemoryStorageAdapter();
+}
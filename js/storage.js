@@ -1,11 +1,12 @@
 // ===================================
-// LocalStorage Manager
+// Storage Manager
 // ===================================
 
 class StorageManager {
     constructor() {
         this.storageKey = 'greatFiguresApp';
         this.defaultUserData = {
+            schemaVersion: userDataSchema.currentVersion,
             level: 1,
             experience: 0,
             totalPoints: 0,
@@ -17,57 +18,270 @@ class StorageManager {
                 totalQuestions: 0,
                 correctAnswers: 0,
                 accuracyRate: 0,
-                categoryStats: {}
+                quizzesCompleted: 0,
+                perfectQuizzes: 0,
+                answerTime: {
+                    count: 0,
+                    totalMs: 0
+                },
+                categoryStats: {},
+                figureStats: {},
+                difficultyStats: {}
             },
-            quizHistory: []
+            quizHistory: [],
+            questionHistory: {},
+            dailyChallenge: {
+                streak: 0,
+                lastCompletedDate: null,
+                history: {}
+            },
+            customQuizPresets: [],
+            // Unfinished quiz saved after every answer; null when none
+            activeSession: null,
+            ratings: {
+                user: {
+                    rating: 1500,
+                    count: 0
+                },
+                questions: {}
+            },
+            settings: {
+                // Minimum accuracy (%) on every figure of a category for its
+                // master badge; 0 only requires the figures to be unlocked
+                masteryMinAccuracy: 0,
+                // Timed mode: whether it is on and seconds per question
+                timedMode: false,
+                timeLimit: 15,
+                // UI and content language, one of LANGUAGES
+                language: DEFAULT_LANGUAGE,
+                // Turn off animations even if the device does not ask for it
+                reducedMotion: false,
+                // IDs of the content packs whose figures and questions are used
+                enabledPacks: []
+            }
         };
+        this.loadReport = null;
+        this.adapter = null;
+        this.dataKey = null;
+        this.cache = null;
+        this.maxQuizHistory = 50;
+        this.writeDelay = 500;
+        this.writeTimer = null;
+        this.isDirty = false;
+    }
+
+    /**
+     * Select the storage backend
+     * @param {Object} adapter - Storage adapter (defaults to the preferred available one)
+     * @returns {Promise<Object>} Storage adapter
+     */
+    async initializeAdapter(adapter = null) {
+        this.adapter = adapter || await createStorageAdapter();
+        debug(`Storage backend: ${this.adapter.name}`);
+        this.setupFlushOnHide();
+        return this.adapter;
+    }
+
+    /**
+     * Get the storage key of a profile's user data
+     * @param {string} profileId - Profile ID
+     * @returns {string} Storage key
+     */
+    getProfileKey(profileId) {
+        return `${this.storageKey}:profile:${profileId}`;
+    }
+
+    /**
+     * Create default user data in the language in use, for new profiles and
+     * for data that is reset or cannot be loaded
+     * @returns {Object} User data
+     */
+    createDefaultUserData() {
+        const userData = deepClone(this.defaultUserData);
+        userData.settings.language = i18n.language;
+        return userData;
     }
 
     /**
-     * Initialize user data
+     * Load a profile's user data, migrating and repairing saved data.
+     * Pending changes of the previously loaded profile are written first.
+     * Data that cannot be repaired is kept under a backup key and replaced
+     * with defaults; the outcome is available in this.loadReport.
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Object>} User data
      */
-    initializeUserData() {
-        const existingData = this.loadUserData();
-        if (!existingData) {
-            this.saveUserData(this.defaultUserData);
+    async loadProfileData(profileId) {
+        await this.flush();
+
+        this.dataKey = this.getProfileKey(profileId);
+        this.loadReport = null;
+
+        let stored;
+        try {
+            stored = await this.adapter.get(this.dataKey);
+        } catch (error) {
+            console.error('Error loading user data:', error);
+        }
+
+        if (stored === undefined || stored === null) {
+            this.cache = this.createDefaultUserData();
+            await this.flush(true);
             debug('User data initialized');
-            return this.defaultUserData;
+            return this.cache;
+        }
+
+        const { data, report } = typeof stored === 'string'
+            ? userDataSchema.parse(stored, this.defaultUserData)
+            : userDataSchema.process(stored, this.defaultUserData);
+        this.loadReport = report;
+
+        if (!report.valid) {
+            console.error('User data rejected:', report.errors);
+            try {
+                await this.adapter.set(`${this.dataKey}_backup`, stored);
+            } catch (error) {
+                console.error('Error backing up user data:', error);
+            }
+            this.cache = this.createDefaultUserData();
+        } else {
+            if (report.migrations.length > 0 || report.repairs.length > 0) {
+                console.warn('User data migrated/repaired:', userDataSchema.formatReport(report));
+            }
+            this.cache = data;
         }
-        return existingData;
+
+        await this.flush(true);
+        return this.cache;
     }
 
     /**
-     * Load user data from LocalStorage
-     * @returns {Object|null} User data or null if not found
+     * Read a profile's saved data without loading it
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<*>} Stored data, or undefined
      */
-    loadUserData() {
+    async readProfileData(profileId) {
+        if (this.dataKey === this.getProfileKey(profileId)) {
+            return this.cache;
+        }
         try {
-            const data = localStorage.getItem(this.storageKey);
-            if (data) {
-                const parsed = JSON.parse(data);
-                debug('User data loaded', parsed);
-                return parsed;
-            }
-            return null;
+            return await this.adapter.get(this.getProfileKey(profileId));
+        } catch (error) {
+            console.error('Error reading profile data:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Delete a profile's saved data and its backup
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    async deleteProfileData(profileId) {
+        const key = this.getProfileKey(profileId);
+        await this.adapter.remove(key);
+        await this.adapter.remove(`${key}_backup`);
+    }
+
+    /**
+     * Move data saved by single-user versions into a profile.
+     * Older versions saved under the base key, either in the selected
+     * backend or directly in localStorage.
+     * @param {string} profileId - Profile ID to move the data into
+     * @returns {Promise<boolean>} True if data was moved
+     */
+    async migrateLegacyData(profileId) {
+        let stored;
+        try {
+            stored = await this.adapter.get(this.storageKey);
         } catch (error) {
             console.error('Error loading user data:', error);
-            return null;
         }
+
+        const fromLocalStorage = stored === undefined &&
+            this.adapter.name !== 'localStorage' && LocalStorageAdapter.isAvailable();
+        if (fromLocalStorage) {
+            stored = localStorage.getItem(this.storageKey);
+        }
+
+        if (stored === undefined || stored === null) return false;
+
+        await this.adapter.set(this.getProfileKey(profileId), stored);
+        if (fromLocalStorage) {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            await this.adapter.remove(this.storageKey);
+        }
+
+        debug(`Migrated single-user data into profile ${profileId}`);
+        return true;
     }
 
     /**
-     * Save user data to LocalStorage
+     * Write pending changes before the page is hidden or closed
+     */
+    setupFlushOnHide() {
+        if (typeof document === 'undefined') return;
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    /**
+     * Load user data.
+     * Returns the in-memory copy; call saveUserData() after modifying it.
+     * @returns {Object|null} User data or null if not initialized
+     */
+    loadUserData() {
+        return this.cache;
+    }
+
+    /**
+     * Save user data.
+     * The in-memory copy is updated immediately and writes to the backend are
+     * batched, so several saves in a row result in a single write.
      * @param {Object} userData - User data to save
      */
     saveUserData(userData) {
+        this.cache = userData;
+        this.isDirty = true;
+
+        clearTimeout(this.writeTimer);
+        this.writeTimer = setTimeout(() => this.flush(), this.writeDelay);
+    }
+
+    /**
+     * Write pending changes to the storage backend
+     * @param {boolean} force - Write even if nothing changed
+     * @returns {Promise<void>}
+     */
+    async flush(force = false) {
+        clearTimeout(this.writeTimer);
+        if (!this.adapter || !this.dataKey || (!this.isDirty && !force)) return;
+
+        this.isDirty = false;
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(userData));
-            debug('User data saved', userData);
+            await this.adapter.set(this.dataKey, this.cache);
+            debug('User data saved');
         } catch (error) {
+            this.isDirty = true;
             console.error('Error saving user data:', error);
         }
     }
 
+    /**
+     * Get average time taken per answer
+     * @returns {number|null} Average in ms, or null if nothing was timed
+     */
+    getAverageAnswerTime() {
+        const userData = this.loadUserData();
+        if (!userData || userData.statistics.answerTime.count === 0) return null;
+        return userData.statistics.answerTime.totalMs / userData.statistics.answerTime.count;
+    }
+
     /**
      * Update specific field in user data
      * @param {string} field - Field name
@@ -108,6 +322,7 @@ class StorageManager {
     /**
      * Unlock a figure
      * @param {string} figureId - Figure ID to unlock
+     * @returns {boolean} True if the figure was newly unlocked
      */
     unlockFigure(figureId) {
         const userData = this.loadUserData();
@@ -115,7 +330,9 @@ class StorageManager {
             userData.unlockedFigures.push(figureId);
             this.saveUserData(userData);
             debug(`Figure unlocked: ${figureId}`);
+            return true;
         }
+        return false;
     }
 
     /**
@@ -133,9 +350,89 @@ class StorageManager {
         return false;
     }
 
+    /**
+     * Get a user setting
+     * @param {string} key - Setting name
+     * @returns {*} Setting value (default if not initialized)
+     */
+    getSetting(key) {
+        const userData = this.loadUserData();
+        return userData ? userData.settings[key] : this.defaultUserData.settings[key];
+    }
+
+    /**
+     * Update a user setting
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    updateSetting(key, value) {
+        const userData = this.loadUserData();
+        if (userData) {
+            userData.settings[key] = value;
+            this.saveUserData(userData);
+        }
+    }
+
+    /**
+     * Get saved custom quiz presets
+     * @returns {Array} Presets
+     */
+    getQuizPresets() {
+        const userData = this.loadUserData();
+        return userData ? userData.customQuizPresets : [];
+    }
+
+    /**
+     * Save custom quiz options as a named preset.
+     * A preset with the same name is overwritten.
+     * @param {string} name - Preset name
+     * @param {Object} options - Custom quiz options
+     * @returns {Object|null} Saved preset
+     */
+    saveQuizPreset(name, options) {
+        const userData = this.loadUserData();
+        if (!userData) return null;
+
+        const existing = userData.customQuizPresets.find(preset => preset.name === name);
+        const preset = {
+            id: existing ? existing.id : generateId(),
+            name,
+            categories: [...options.categories],
+            countries: [...options.countries],
+            figureIds: [...options.figureIds],
+            difficulties: [...options.difficulties],
+            questionCount: options.questionCount
+        };
+
+        userData.customQuizPresets = existing
+            ? userData.customQuizPresets.map(item => item.id === existing.id ? preset : item)
+            : [...userData.customQuizPresets, preset];
+        this.saveUserData(userData);
+        debug(`Quiz preset saved: ${name}`);
+        return preset;
+    }
+
+    /**
+     * Delete a custom quiz preset
+     * @param {string} presetId - Preset ID
+     */
+    deleteQuizPreset(presetId) {
+        const userData = this.loadUserData();
+        if (userData) {
+            userData.customQuizPresets = userData.customQuizPresets.filter(preset => preset.id !== presetId);
+            this.saveUserData(userData);
+        }
+    }
+
     /**
      * Update statistics
      * @param {Object} stats - Statistics to update
+     * @param {number} stats.totalQuestions - Questions answered
+     * @param {number} stats.correctAnswers - Correct answers
+     * @param {string} [stats.category] - Category of the answered questions
+     * @param {string} [stats.figureId] - Figure of the answered questions
+     * @param {string} [stats.difficulty] - Difficulty of the answered questions
+     * @param {number} [stats.responseTime] - Time taken to answer in ms
      */
     updateStatistics(stats) {
         const userData = this.loadUserData();
@@ -157,38 +454,93 @@ class StorageManager {
                     );
             }
 
-            // Update category stats
-            if (stats.category) {
-                if (!userData.statistics.categoryStats[stats.category]) {
-                    userData.statistics.categoryStats[stats.category] = {
+            // Accumulate answer time for the average speed
+            if (Number.isFinite(stats.responseTime)) {
+                userData.statistics.answerTime.count += 1;
+                userData.statistics.answerTime.totalMs += stats.responseTime;
+            }
+
+            // Update category, figure and difficulty stats
+            const breakdowns = {
+                categoryStats: stats.category,
+                figureStats: stats.figureId,
+                difficultyStats: stats.difficulty
+            };
+
+            Object.entries(breakdowns).forEach(([field, key]) => {
+                if (!key) return;
+                if (!userData.statistics[field]) {
+                    userData.statistics[field] = {};
+                }
+                if (!userData.statistics[field][key]) {
+                    userData.statistics[field][key] = {
                         total: 0,
                         correct: 0
                     };
                 }
-                userData.statistics.categoryStats[stats.category].total += stats.totalQuestions || 0;
-                userData.statistics.categoryStats[stats.category].correct += stats.correctAnswers || 0;
-            }
+                userData.statistics[field][key].total += stats.totalQuestions || 0;
+                userData.statistics[field][key].correct += stats.correctAnswers || 0;
+            });
+
+            this.saveUserData(userData);
+        }
+    }
+
+    /**
+     * Get the unfinished quiz session
+     * @returns {Object|null} Saved session
+     */
+    getActiveSession() {
+        const userData = this.loadUserData();
+        return userData ? userData.activeSession : null;
+    }
+
+    /**
+     * Save the unfinished quiz session
+     * @param {Object} session - Session state
+     */
+    saveActiveSession(session) {
+        const userData = this.loadUserData();
+        if (userData) {
+            userData.activeSession = session;
+            this.saveUserData(userData);
+        }
+    }
 
+    /**
+     * Remove the unfinished quiz session
+     */
+    clearActiveSession() {
+        const userData = this.loadUserData();
+        if (userData && userData.activeSession) {
+            userData.activeSession = null;
             this.saveUserData(userData);
         }
     }
 
     /**
-     * Add quiz to history
-     * @param {Object} quizResult - Quiz result data
+     * Add quiz to history; completed quizzes are also counted in statistics
+     * @param {Object} quizResult - Quiz result data; `status` is 'completed' or 'abandoned'
      */
     addQuizToHistory(quizResult) {
         const userData = this.loadUserData();
         if (userData) {
+            if (quizResult.status === 'completed') {
+                userData.statistics.quizzesCompleted += 1;
+                if (quizResult.totalQuestions > 0 && quizResult.correctAnswers === quizResult.totalQuestions) {
+                    userData.statistics.perfectQuizzes += 1;
+                }
+            }
+
             userData.quizHistory.push({
                 ...quizResult,
                 date: getToday(),
                 timestamp: Date.now()
             });
 
-            // Keep only last 50 quiz results
-            if (userData.quizHistory.length > 50) {
-                userData.quizHistory = userData.quizHistory.slice(-50);
+            // Keep only the most recent quiz results
+            if (userData.quizHistory.length > this.maxQuizHistory) {
+                userData.quizHistory = userData.quizHistory.slice(-this.maxQuizHistory);
             }
 
             this.saveUserData(userData);
@@ -238,9 +590,10 @@ class StorageManager {
     /**
      * Reset all user data
      */
-    resetUserData() {
-        if (confirm('本当にすべてのデータをリセットしますか？この操作は取り消せません。')) {
-            this.saveUserData(this.defaultUserData);
+    async resetUserData() {
+        if (confirm(t('本当にすべてのデータをリセットしますか？この操作は取り消せません。'))) {
+            this.saveUserData(this.createDefaultUserData());
+            await this.flush();
             debug('User data reset');
             window.location.reload();
         }
@@ -255,20 +608,223 @@ class StorageManager {
         return JSON.stringify(userData, null, 2);
     }
 
+    /**
+     * Check an import without applying it.
+     * Imported data goes through the same migrations and validation as saved data.
+     * @param {string} jsonData - JSON string of user data
+     * @param {string} mode - 'replace' to overwrite current data, 'merge' to combine with it
+     * @returns {Object} { data, report, changes, notes }; data is null if the import was
+     *     rejected, notes lists messages about how the data was combined
+     */
+    previewImport(jsonData, mode = 'replace') {
+        const { data, report } = userDataSchema.parse(jsonData, this.defaultUserData);
+        if (!report.valid) {
+            return { data: null, report, changes: [], notes: [] };
+        }
+
+        const current = this.loadUserData();
+        const next = mode === 'merge' ? this.mergeUserData(current, data) : data;
+        const notes = [];
+        if (mode === 'merge' && this.sharesQuizHistory(current, data)) {
+            notes.push('同じクイズ履歴を含むため、統計は合計せず、解答数の多いほうのデータの統計を残します。');
+        }
+        return { data: next, report, changes: this.summarizeChanges(current, next), notes };
+    }
+
+    /**
+     * Replace user data with previewed import data
+     * @param {Object} data - Data returned by previewImport()
+     * @returns {Promise<void>}
+     */
+    async applyImport(data) {
+        this.saveUserData(data);
+        await this.flush();
+        debug('User data imported');
+    }
+
     /**
      * Import user data from JSON
      * @param {string} jsonData - JSON string of user data
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {Promise<Object>} Validation report; report.valid is false if nothing was imported
      */
-    importData(jsonData) {
-        try {
-            const userData = JSON.parse(jsonData);
-            this.saveUserData(userData);
-            debug('User data imported');
-            window.location.reload();
-        } catch (error) {
-            console.error('Error importing data:', error);
-            alert('データのインポートに失敗しました。');
+    async importData(jsonData, mode = 'replace') {
+        const { data, report } = this.previewImport(jsonData, mode);
+        if (report.valid) {
+            await this.applyImport(data);
+        } else {
+            console.error('Error importing data:', report.errors);
+        }
+        return report;
+    }
+
+    /**
+     * Check whether two sets of user data share quiz history, as a profile
+     * and its own backup do
+     * @param {Object} a - User data
+     * @param {Object} b - User data
+     * @returns {boolean} True if a quiz is recorded in both
+     */
+    sharesQuizHistory(a, b) {
+        const timestamps = new Set(a.quizHistory.map(entry => entry.timestamp));
+        return b.quizHistory.some(entry => timestamps.has(entry.timestamp));
+    }
+
+    /**
+     * Combine two sets of user data.
+     * Badges and unlocked figures are united, statistics are summed and
+     * quiz history is deduplicated by timestamp. For level, points and
+     * streaks the further progressed or more recent value is kept.
+     * Data that shares quiz history (a backup of the same profile, or a file
+     * merged before) would be counted twice, so its statistics are not summed:
+     * the statistics with more answers are kept instead.
+     * @param {Object} current - Current user data
+     * @param {Object} imported - Validated imported user data
+     * @returns {Object} Merged user data
+     */
+    mergeUserData(current, imported) {
+        const merged = deepClone(current);
+
+        if (imported.level > merged.level ||
+            (imported.level === merged.level && imported.experience > merged.experience)) {
+            merged.level = imported.level;
+            merged.experience = imported.experience;
+        }
+        merged.totalPoints = Math.max(merged.totalPoints, imported.totalPoints);
+
+        if ((imported.lastPlayDate || '') > (merged.lastPlayDate || '')) {
+            merged.lastPlayDate = imported.lastPlayDate;
+            merged.streak = imported.streak;
+        }
+
+        merged.unlockedFigures = [...new Set([...merged.unlockedFigures, ...imported.unlockedFigures])];
+        merged.badges = [...new Set([...merged.badges, ...imported.badges])];
+
+        // Statistics
+        if (this.sharesQuizHistory(current, imported)) {
+            if (imported.statistics.totalQuestions > merged.statistics.totalQuestions) {
+                merged.statistics = deepClone(imported.statistics);
+            }
+        } else {
+            const stats = merged.statistics;
+            ['totalQuestions', 'correctAnswers', 'quizzesCompleted', 'perfectQuizzes'].forEach(field => {
+                stats[field] += imported.statistics[field];
+            });
+            stats.accuracyRate = calculatePercentage(stats.correctAnswers, stats.totalQuestions);
+
+            stats.answerTime.count += imported.statistics.answerTime.count;
+            stats.answerTime.totalMs += imported.statistics.answerTime.totalMs;
+
+            ['categoryStats', 'figureStats', 'difficultyStats'].forEach(field => {
+                Object.entries(imported.statistics[field]).forEach(([key, value]) => {
+                    const bucket = stats[field][key] || { total: 0, correct: 0 };
+                    bucket.total += value.total;
+                    bucket.correct += value.correct;
+                    stats[field][key] = bucket;
+                });
+            });
+        }
+
+        // Quiz history, deduplicated by timestamp
+        const history = new Map();
+        [...merged.quizHistory, ...imported.quizHistory].forEach(entry => {
+            if (!history.has(entry.timestamp)) {
+                history.set(entry.timestamp, entry);
+            }
+        });
+        merged.quizHistory = [...history.values()]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-this.maxQuizHistory);
+
+        // Review history: keep whichever entry was answered last
+        const lastAnswered = entry => {
+            const last = entry.answers[entry.answers.length - 1];
+            return last ? last.timestamp : 0;
+        };
+        Object.entries(imported.questionHistory).forEach(([questionId, entry]) => {
+            const existing = merged.questionHistory[questionId];
+            if (!existing || lastAnswered(entry) > lastAnswered(existing)) {
+                merged.questionHistory[questionId] = deepClone(entry);
+            }
+        });
+
+        // Ratings: keep whichever was estimated from more answers
+        if (imported.ratings.user.count > merged.ratings.user.count) {
+            merged.ratings.user = deepClone(imported.ratings.user);
+        }
+        Object.entries(imported.ratings.questions).forEach(([questionId, entry]) => {
+            const existing = merged.ratings.questions[questionId];
+            if (!existing || entry.count > existing.count) {
+                merged.ratings.questions[questionId] = deepClone(entry);
+            }
+        });
+
+        // Custom quiz presets; presets with an existing name are skipped
+        const presetNames = new Set(merged.customQuizPresets.map(preset => preset.name));
+        imported.customQuizPresets.forEach(preset => {
+            if (!presetNames.has(preset.name)) {
+                merged.customQuizPresets.push(deepClone(preset));
+            }
+        });
+
+        // Daily challenge
+        const challenge = merged.dailyChallenge;
+        challenge.history = { ...imported.dailyChallenge.history, ...challenge.history };
+        if ((imported.dailyChallenge.lastCompletedDate || '') > (challenge.lastCompletedDate || '')) {
+            challenge.lastCompletedDate = imported.dailyChallenge.lastCompletedDate;
+            challenge.streak = imported.dailyChallenge.streak;
         }
+
+        return merged;
+    }
+
+    /**
+     * List what differs between two sets of user data
+     * @param {Object} before - Current user data
+     * @param {Object} after - User data after the change
+     * @returns {Array} Changed items as { label, before, after, format }, where
+     *     format is the message for a value ({count}); list items also have
+     *     `added` and `removed` counts
+     */
+    summarizeChanges(before, after) {
+        const lists = [
+            { label: 'バッジ', format: '{count}個', get: data => data.badges },
+            { label: '解放した偉人', format: '{count}人', get: data => data.unlockedFigures }
+        ];
+        const values = [
+            { label: 'レベル', format: '{count}', get: data => data.level },
+            { label: 'ポイント', format: '{count}', get: data => data.totalPoints },
+            { label: '連続日数', format: '{count}日', get: data => data.streak },
+            { label: '総問題数', format: '{count}問', get: data => data.statistics.totalQuestions },
+            { label: '正解数', format: '{count}問', get: data => data.statistics.correctAnswers },
+            { label: '総合正解率', format: '{count}%', get: data => data.statistics.accuracyRate },
+            { label: '実力レーティング', format: '{count}', get: data => data.ratings.user.rating },
+            { label: 'クイズ履歴', format: '{count}件', get: data => data.quizHistory.length },
+            { label: '復習中の問題', format: '{count}問', get: data => Object.keys(data.questionHistory).length },
+            { label: 'デイリーチャレンジ達成', format: '{count}日', get: data => Object.keys(data.dailyChallenge.history).length }
+        ];
+
+        const listChanges = lists.map(item => {
+            const beforeList = item.get(before);
+            const afterList = item.get(after);
+            return {
+                label: item.label,
+                format: item.format,
+                before: beforeList.length,
+                after: afterList.length,
+                added: afterList.filter(id => !beforeList.includes(id)).length,
+                removed: beforeList.filter(id => !afterList.includes(id)).length
+            };
+        }).filter(change => change.added > 0 || change.removed > 0);
+
+        const valueChanges = values.map(item => ({
+            label: item.label,
+            format: item.format,
+            before: item.get(before),
+            after: item.get(after)
+        })).filter(change => change.before !== change.after);
+
+        return [...valueChanges, ...listChanges];
     }
 }
 
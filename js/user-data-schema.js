@@ -0,0 +1,549 @@
+// ===================================
+// User Data Schema & Migrations
+// ===================================
+
+class UserDataSchema {
+    constructor() {
+        this.currentVersion = 8;
+
+        // Ordered migrations; each upgrades data from (version - 1) to version.
+        // Saves without schemaVersion are treated as version 0.
+        this.migrations = [
+            {
+                version: 1,
+                description: '復習履歴・詳細統計・デイリーチャレンジの項目を追加',
+                migrate(data) {
+                    data.questionHistory = data.questionHistory || {};
+                    data.statistics = data.statistics || {};
+                    data.statistics.figureStats = data.statistics.figureStats || {};
+                    data.statistics.difficultyStats = data.statistics.difficultyStats || {};
+                    data.dailyChallenge = data.dailyChallenge || {
+                        streak: 0,
+                        lastCompletedDate: null,
+                        history: {}
+                    };
+                    (data.quizHistory || []).forEach(entry => {
+                        if (entry && typeof entry === 'object' && !entry.mode) {
+                            entry.mode = 'normal';
+                        }
+                    });
+                    return data;
+                }
+            },
+            {
+                version: 2,
+                description: 'クイズ完了数・全問正解数の記録を追加',
+                migrate(data) {
+                    const history = (data.quizHistory || []).filter(entry => entry && typeof entry === 'object');
+                    data.statistics = data.statistics || {};
+                    data.statistics.quizzesCompleted = history.length;
+                    data.statistics.perfectQuizzes = history.filter(entry =>
+                        entry.totalQuestions > 0 && entry.correctAnswers === entry.totalQuestions
+                    ).length;
+                    return data;
+                }
+            },
+            {
+                version: 3,
+                description: 'ユーザー設定の項目を追加',
+                migrate(data) {
+                    data.settings = data.settings || {};
+                    return data;
+                }
+            },
+            {
+                version: 4,
+                description: '解答時間の記録を追加',
+                migrate(data) {
+                    data.statistics = data.statistics || {};
+                    data.statistics.answerTime = data.statistics.answerTime || { count: 0, totalMs: 0 };
+                    return data;
+                }
+            },
+            {
+                version: 5,
+                description: 'カスタムクイズのプリセットを追加',
+                migrate(data) {
+                    data.customQuizPresets = data.customQuizPresets || [];
+                    return data;
+                }
+            },
+            {
+                version: 6,
+                description: '実力レーティングの項目を追加',
+                migrate(data) {
+                    data.ratings = data.ratings || {
+                        user: { rating: 1500, count: 0 },
+                        questions: {}
+                    };
+                    return data;
+                }
+            },
+            {
+                version: 7,
+                description: '中断したクイズの保存と、履歴の完了・中断の区別を追加',
+                migrate(data) {
+                    data.activeSession = data.activeSession || null;
+                    (data.quizHistory || []).forEach(entry => {
+                        if (entry && typeof entry === 'object' && !entry.status) {
+                            entry.status = 'completed';
+                        }
+                    });
+                    return data;
+                }
+            },
+            {
+                version: 8,
+                description: 'カスタムクイズのプリセットに国の条件を追加',
+                migrate(data) {
+                    (data.customQuizPresets || []).forEach(preset => {
+                        if (preset && typeof preset === 'object' && !preset.countries) {
+                            preset.countries = [];
+                        }
+                    });
+                    return data;
+                }
+            }
+        ];
+    }
+
+    /**
+     * Create a new report
+     * @returns {Object} Empty report
+     */
+    createReport() {
+        return {
+            valid: true,
+            fromVersion: null,
+            toVersion: this.currentVersion,
+            migrations: [],
+            repairs: [],
+            errors: []
+        };
+    }
+
+    /**
+     * Parse JSON, then migrate, validate and repair it
+     * @param {string} json - JSON string of user data
+     * @param {Object} defaults - Default user data used for repairs
+     * @returns {Object} { data, report }; report.valid is false if data was rejected
+     */
+    parse(json, defaults) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            const report = this.createReport();
+            report.valid = false;
+            report.errors.push(t('JSONとして読み込めません（{error}）。', { error: error.message }));
+            return { data: null, report };
+        }
+        return this.process(parsed, defaults);
+    }
+
+    /**
+     * Migrate, validate and repair user data
+     * @param {*} input - Parsed user data
+     * @param {Object} defaults - Default user data used for repairs
+     * @returns {Object} { data, report }; report.valid is false if data was rejected
+     */
+    process(input, defaults) {
+        const report = this.createReport();
+
+        if (!this.isPlainObject(input)) {
+            report.valid = false;
+            report.errors.push(t('データの形式が正しくありません（オブジェクトではありません）。'));
+            return { data: null, report };
+        }
+
+        const data = deepClone(input);
+        const version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+        report.fromVersion = version;
+
+        if (!Number.isInteger(version) || version < 0) {
+            report.valid = false;
+            report.errors.push(t('schemaVersion「{version}」が不正です。', { version }));
+            return { data: null, report };
+        }
+
+        if (version > this.currentVersion) {
+            report.valid = false;
+            report.errors.push(t(
+                'このデータは新しいバージョン（{version}）のアプリで作成されています。' +
+                '現在のアプリが対応しているのはバージョン{currentVersion}までです。',
+                { version, currentVersion: this.currentVersion }
+            ));
+            return { data: null, report };
+        }
+
+        this.migrate(data, version, report);
+        this.validate(data, defaults, report);
+
+        return { data, report };
+    }
+
+    /**
+     * Run pending migrations in order
+     * @param {Object} data - User data (modified in place)
+     * @param {number} fromVersion - Current version of the data
+     * @param {Object} report - Report to append to
+     */
+    migrate(data, fromVersion, report) {
+        this.migrations
+            .filter(migration => migration.version > fromVersion)
+            .sort((a, b) => a.version - b.version)
+            .forEach(migration => {
+                migration.migrate(data);
+                data.schemaVersion = migration.version;
+                report.migrations.push(`v${migration.version}: ${t(migration.description)}`);
+                debug(`User data migrated to v${migration.version}`);
+            });
+
+        data.schemaVersion = this.currentVersion;
+    }
+
+    /**
+     * Validate fields and repair malformed ones
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} defaults - Default user data
+     * @param {Object} report - Report to append to
+     */
+    validate(data, defaults, report) {
+        const repair = (field, value, message) => {
+            data[field] = value;
+            report.repairs.push(t(message, { field }));
+        };
+
+        // Numbers
+        [
+            { field: 'level', min: 1 },
+            { field: 'experience', min: 0 },
+            { field: 'totalPoints', min: 0 },
+            { field: 'streak', min: 0 }
+        ].forEach(({ field, min }) => {
+            if (!Number.isFinite(data[field]) || data[field] < min) {
+                repair(field, defaults[field], '「{field}」が不正な数値のため初期値に戻しました。');
+            }
+        });
+
+        // Dates
+        if (data.lastPlayDate !== null && !this.isDateString(data.lastPlayDate)) {
+            repair('lastPlayDate', null, '「{field}」が日付ではないため初期値に戻しました。');
+        }
+
+        // String lists
+        ['unlockedFigures', 'badges'].forEach(field => {
+            if (!Array.isArray(data[field])) {
+                repair(field, [], '「{field}」が配列ではないため初期値に戻しました。');
+                return;
+            }
+            const cleaned = [...new Set(data[field].filter(item => typeof item === 'string'))];
+            if (cleaned.length !== data[field].length) {
+                data[field] = cleaned;
+                report.repairs.push(t('「{field}」から不正・重複した項目を取り除きました。', { field }));
+            }
+        });
+
+        this.validateStatistics(data, defaults, report);
+        this.validateQuizHistory(data, report);
+        this.validateQuestionHistory(data, report);
+        this.validateDailyChallenge(data, defaults, report);
+        this.validateSettings(data, defaults, report);
+        this.validateCustomQuizPresets(data, report);
+        this.validateRatings(data, defaults, report);
+        this.validateActiveSession(data, report);
+    }
+
+    /**
+     * Validate statistics and recompute accuracy
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} defaults - Default user data
+     * @param {Object} report - Report to append to
+     */
+    validateStatistics(data, defaults, report) {
+        if (!this.isPlainObject(data.statistics)) {
+            data.statistics = deepClone(defaults.statistics);
+            report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: 'statistics' }));
+            return;
+        }
+
+        const stats = data.statistics;
+
+        ['totalQuestions', 'correctAnswers', 'quizzesCompleted', 'perfectQuizzes'].forEach(field => {
+            if (!Number.isInteger(stats[field]) || stats[field] < 0) {
+                stats[field] = 0;
+                report.repairs.push(t('「{field}」が不正なため0に戻しました。', { field: `statistics.${field}` }));
+            }
+        });
+
+        if (stats.correctAnswers > stats.totalQuestions) {
+            stats.correctAnswers = stats.totalQuestions;
+            report.repairs.push(t('正解数が総問題数を超えていたため修正しました。'));
+        }
+
+        stats.accuracyRate = calculatePercentage(stats.correctAnswers, stats.totalQuestions);
+
+        const answerTime = stats.answerTime;
+        const validAnswerTime = this.isPlainObject(answerTime) &&
+            Number.isInteger(answerTime.count) && answerTime.count >= 0 &&
+            Number.isFinite(answerTime.totalMs) && answerTime.totalMs >= 0;
+        if (!validAnswerTime) {
+            stats.answerTime = deepClone(defaults.statistics.answerTime);
+            report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: 'statistics.answerTime' }));
+        }
+
+        ['categoryStats', 'figureStats', 'difficultyStats'].forEach(field => {
+            if (!this.isPlainObject(stats[field])) {
+                stats[field] = {};
+                report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: `statistics.${field}` }));
+                return;
+            }
+            Object.entries(stats[field]).forEach(([key, value]) => {
+                const valid = this.isPlainObject(value) &&
+                    Number.isInteger(value.total) && Number.isInteger(value.correct) &&
+                    value.total >= 0 && value.correct >= 0 && value.correct <= value.total;
+                if (!valid) {
+                    delete stats[field][key];
+                    report.repairs.push(t('「{field}」が不正なため削除しました。', { field: `statistics.${field}.${key}` }));
+                }
+            });
+        });
+    }
+
+    /**
+     * Drop malformed quiz history entries
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} report - Report to append to
+     */
+    validateQuizHistory(data, report) {
+        if (!Array.isArray(data.quizHistory)) {
+            data.quizHistory = [];
+            report.repairs.push(t('「{field}」が配列ではないため初期値に戻しました。', { field: 'quizHistory' }));
+            return;
+        }
+
+        const cleaned = data.quizHistory.filter(entry =>
+            this.isPlainObject(entry) &&
+            Number.isFinite(entry.timestamp) &&
+            Number.isInteger(entry.totalQuestions) &&
+            Number.isInteger(entry.correctAnswers)
+        );
+
+        if (cleaned.length !== data.quizHistory.length) {
+            report.repairs.push(t('「quizHistory」から不正な記録を{count}件削除しました。', {
+                count: data.quizHistory.length - cleaned.length
+            }));
+            data.quizHistory = cleaned;
+        }
+    }
+
+    /**
+     * Drop malformed review history entries
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} report - Report to append to
+     */
+    validateQuestionHistory(data, report) {
+        if (!this.isPlainObject(data.questionHistory)) {
+            data.questionHistory = {};
+            report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: 'questionHistory' }));
+            return;
+        }
+
+        Object.entries(data.questionHistory).forEach(([questionId, entry]) => {
+            const valid = this.isPlainObject(entry) &&
+                Array.isArray(entry.answers) &&
+                Number.isFinite(entry.easeFactor) &&
+                Number.isFinite(entry.interval) &&
+                (entry.dueDate === null || this.isDateString(entry.dueDate));
+            if (!valid) {
+                delete data.questionHistory[questionId];
+                report.repairs.push(t('問題「{questionId}」の復習履歴が不正なため削除しました。', { questionId }));
+            }
+        });
+    }
+
+    /**
+     * Validate daily challenge data
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} defaults - Default user data
+     * @param {Object} report - Report to append to
+     */
+    validateDailyChallenge(data, defaults, report) {
+        const challenge = data.dailyChallenge;
+        const valid = this.isPlainObject(challenge) &&
+            Number.isInteger(challenge.streak) && challenge.streak >= 0 &&
+            (challenge.lastCompletedDate === null || this.isDateString(challenge.lastCompletedDate)) &&
+            this.isPlainObject(challenge.history);
+
+        if (!valid) {
+            data.dailyChallenge = deepClone(defaults.dailyChallenge);
+            report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: 'dailyChallenge' }));
+        }
+    }
+
+    /**
+     * Fill in missing settings and reset ones of the wrong type
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} defaults - Default user data
+     * @param {Object} report - Report to append to
+     */
+    validateSettings(data, defaults, report) {
+        if (!this.isPlainObject(data.settings)) {
+            data.settings = deepClone(defaults.settings);
+            report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: 'settings' }));
+            return;
+        }
+
+        Object.entries(defaults.settings).forEach(([key, value]) => {
+            if (data.settings[key] === undefined) {
+                data.settings[key] = deepClone(value);
+            } else if (typeof data.settings[key] !== typeof value) {
+                data.settings[key] = deepClone(value);
+                report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: `settings.${key}` }));
+            }
+        });
+
+        [
+            { key: 'masteryMinAccuracy', min: 0, max: 100 },
+            { key: 'timeLimit', min: 5, max: 120 }
+        ].forEach(({ key, min, max }) => {
+            const value = data.settings[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                data.settings[key] = defaults.settings[key];
+                report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: `settings.${key}` }));
+            }
+        });
+
+        if (!Object.prototype.hasOwnProperty.call(LANGUAGES, data.settings.language)) {
+            data.settings.language = defaults.settings.language;
+            report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: 'settings.language' }));
+        }
+
+        const packs = data.settings.enabledPacks;
+        if (!Array.isArray(packs) || !packs.every(id => typeof id === 'string')) {
+            data.settings.enabledPacks = [];
+            report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: 'settings.enabledPacks' }));
+        }
+    }
+
+    /**
+     * Drop malformed custom quiz presets
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} report - Report to append to
+     */
+    validateCustomQuizPresets(data, report) {
+        if (!Array.isArray(data.customQuizPresets)) {
+            data.customQuizPresets = [];
+            report.repairs.push(t('「{field}」が配列ではないため初期値に戻しました。', { field: 'customQuizPresets' }));
+            return;
+        }
+
+        const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+        const cleaned = data.customQuizPresets.filter(preset =>
+            this.isPlainObject(preset) &&
+            typeof preset.id === 'string' &&
+            typeof preset.name === 'string' &&
+            isStringList(preset.categories) &&
+            isStringList(preset.countries) &&
+            isStringList(preset.figureIds) &&
+            isStringList(preset.difficulties) &&
+            Number.isInteger(preset.questionCount) && preset.questionCount > 0
+        );
+
+        if (cleaned.length !== data.customQuizPresets.length) {
+            report.repairs.push(t('「customQuizPresets」から不正なプリセットを{count}件削除しました。', {
+                count: data.customQuizPresets.length - cleaned.length
+            }));
+            data.customQuizPresets = cleaned;
+        }
+    }
+
+    /**
+     * Validate user and question ratings
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} defaults - Default user data
+     * @param {Object} report - Report to append to
+     */
+    validateRatings(data, defaults, report) {
+        const isRating = entry => this.isPlainObject(entry) &&
+            Number.isFinite(entry.rating) &&
+            Number.isInteger(entry.count) && entry.count >= 0;
+
+        const ratings = data.ratings;
+        if (!this.isPlainObject(ratings) || !isRating(ratings.user) || !this.isPlainObject(ratings.questions)) {
+            data.ratings = deepClone(defaults.ratings);
+            report.repairs.push(t('「{field}」が不正なため初期値に戻しました。', { field: 'ratings' }));
+            return;
+        }
+
+        Object.entries(ratings.questions).forEach(([questionId, entry]) => {
+            if (!isRating(entry)) {
+                delete ratings.questions[questionId];
+                report.repairs.push(t('問題「{questionId}」のレーティングが不正なため削除しました。', { questionId }));
+            }
+        });
+    }
+
+    /**
+     * Drop a malformed unfinished quiz session
+     * @param {Object} data - User data (modified in place)
+     * @param {Object} report - Report to append to
+     */
+    validateActiveSession(data, report) {
+        const session = data.activeSession;
+        if (session === null) return;
+
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const valid = this.isPlainObject(session) &&
+            typeof session.mode === 'string' &&
+            Array.isArray(session.questionIds) && session.questionIds.length > 0 &&
+            session.questionIds.every(id => typeof id === 'string') &&
+            isCount(session.currentQuestionIndex) &&
+            session.currentQuestionIndex < session.questionIds.length &&
+            isCount(session.score) &&
+            isCount(session.correctAnswers) &&
+            isCount(session.consecutiveCorrect) &&
+            Array.isArray(session.wrongAnswers) &&
+            this.isPlainObject(session.categoryBreakdown) &&
+            this.isDateString(session.date);
+
+        if (!valid) {
+            data.activeSession = null;
+            report.repairs.push(t('中断したクイズのデータが不正なため削除しました。'));
+        }
+    }
+
+    /**
+     * Check for a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean} True if value is a non-array object
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Check for a YYYY-MM-DD string
+     * @param {*} value - Value to check
+     * @returns {boolean} True if value is a date string
+     */
+    isDateString(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    /**
+     * Format a report as readable lines
+     * @param {Object} report - Validation report
+     * @returns {Array<string>} Report lines
+     */
+    formatReport(report) {
+        return [
+            ...report.errors.map(message => t('エラー: {message}', { message })),
+            ...report.migrations.map(message => t('移行: {message}', { message })),
+            ...report.repairs.map(message => t('修復: {message}', { message }))
+        ];
+    }
+}
+
+// Create global instance
+const userDataSchema = new UserDataSchema();
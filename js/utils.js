@@ -5,17 +5,48 @@
 /**
  * Shuffle an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random number generator returning [0, 1)
  * @returns {Array} Shuffled array
  */
-function shuffleArray(array) {
+function shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
 }
 
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} Hash value
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed value; strings are hashed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Get a random element from an array
  * @param {Array} array - Source array
@@ -45,6 +76,80 @@ function getToday() {
     return formatDate(new Date());
 }
 
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ * @param {string} dateString - Date string
+ * @returns {Date} Date object at local midnight
+ */
+function parseDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateString - Base date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date as YYYY-MM-DD
+ */
+function addDays(dateString, days) {
+    const date = parseDate(dateString);
+    date.setDate(date.getDate() + days);
+    return formatDate(date);
+}
+
+/**
+ * Parse the year from a figure date.
+ * Handles "YYYY-MM-DD", BCE dates such as "紀元前469年頃" and
+ * multiple dates such as "1867/1871" (the first one is used).
+ * @param {string} dateString - Date string from figure data
+ * @returns {number|null} Year (negative for BCE) or null if unparseable
+ */
+function parseYear(dateString) {
+    if (!dateString) return null;
+
+    const first = String(dateString).split('/')[0].trim();
+    const match = first.match(/^(紀元前)?\s*(\d{1,4})/);
+    if (!match) return null;
+
+    const year = Number(match[2]);
+    return match[1] ? -year : year;
+}
+
+/**
+ * Check whether a figure date is approximate or ambiguous
+ * @param {string} dateString - Date string from figure data
+ * @returns {boolean} True if the date is approximate ("頃") or lists several dates
+ */
+function isApproximateDate(dateString) {
+    return /頃|\//.test(String(dateString));
+}
+
+/**
+ * Format a year for display
+ * @param {number} year - Year (negative for BCE)
+ * @returns {string} Formatted year
+ */
+function formatYear(year) {
+    return year < 0 ? t('紀元前{year}年', { year: -year }) : t('{year}年', { year });
+}
+
+/**
+ * Format a figure date for display.
+ * Japanese year notation ("紀元前469年頃") is translated; other dates are shown as they are.
+ * @param {string} dateString - Date string from figure data
+ * @returns {string} Formatted date
+ */
+function formatFigureDate(dateString) {
+    if (!dateString) return '';
+
+    const match = String(dateString).match(/^(紀元前)?(\d{1,4})年(頃)?$/);
+    if (!match) return String(dateString);
+
+    const year = formatYear(match[1] ? -Number(match[2]) : Number(match[2]));
+    return match[3] ? t('{year}頃', { year }) : year;
+}
+
 /**
  * Calculate percentage
  * @param {number} value - Current value
@@ -76,6 +181,223 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Category names in Japanese; displayed through t()
+const CATEGORY_NAMES = {
+    scientist: '科学者',
+    artist: '芸術家',
+    politician: '政治家',
+    inventor: '発明家',
+    philosopher: '思想家',
+    explorer: '探検家'
+};
+
+// Country names in Japanese by ISO 3166-1 alpha-2 code (countries on the world map)
+const COUNTRY_NAMES = {
+    AR: 'アルゼンチン',
+    AT: 'オーストリア',
+    AU: 'オーストラリア',
+    BE: 'ベルギー',
+    BR: 'ブラジル',
+    CA: 'カナダ',
+    CH: 'スイス',
+    CN: '中国',
+    CZ: 'チェコ',
+    DE: 'ドイツ',
+    DK: 'デンマーク',
+    EG: 'エジプト',
+    ES: 'スペイン',
+    FI: 'フィンランド',
+    FR: 'フランス',
+    GB: 'イギリス',
+    GR: 'ギリシャ',
+    IE: 'アイルランド',
+    IN: 'インド',
+    IS: 'アイスランド',
+    IT: 'イタリア',
+    JP: '日本',
+    KR: '韓国',
+    MX: 'メキシコ',
+    NL: 'オランダ',
+    NO: 'ノルウェー',
+    NZ: 'ニュージーランド',
+    PL: 'ポーランド',
+    PT: 'ポルトガル',
+    RU: 'ロシア',
+    SE: 'スウェーデン',
+    TR: 'トルコ',
+    US: 'アメリカ',
+    ZA: '南アフリカ'
+};
+
+// Romaji to hiragana table (Hepburn and Kunrei spellings)
+const ROMAJI_TABLE = {
+    a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+    ka: 'か', ki: 'き', ku: 'く', ke: 'け', ko: 'こ',
+    ga: 'が', gi: 'ぎ', gu: 'ぐ', ge: 'げ', go: 'ご',
+    sa: 'さ', shi: 'し', si: 'し', su: 'す', se: 'せ', so: 'そ',
+    za: 'ざ', ji: 'じ', zi: 'じ', zu: 'ず', ze: 'ぜ', zo: 'ぞ',
+    ta: 'た', chi: 'ち', ti: 'ち', tsu: 'つ', tu: 'つ', te: 'て', to: 'と',
+    da: 'だ', di: 'ぢ', du: 'づ', de: 'で', do: 'ど',
+    na: 'な', ni: 'に', nu: 'ぬ', ne: 'ね', no: 'の',
+    ha: 'は', hi: 'ひ', fu: 'ふ', hu: 'ふ', he: 'へ', ho: 'ほ',
+    ba: 'ば', bi: 'び', bu: 'ぶ', be: 'べ', bo: 'ぼ',
+    pa: 'ぱ', pi: 'ぴ', pu: 'ぷ', pe: 'ぺ', po: 'ぽ',
+    ma: 'ま', mi: 'み', mu: 'む', me: 'め', mo: 'も',
+    ya: 'や', yu: 'ゆ', yo: 'よ',
+    ra: 'ら', ri: 'り', ru: 'る', re: 'れ', ro: 'ろ',
+    wa: 'わ', wo: 'を',
+    kya: 'きゃ', kyu: 'きゅ', kyo: 'きょ',
+    gya: 'ぎゃ', gyu: 'ぎゅ', gyo: 'ぎょ',
+    sha: 'しゃ', shu: 'しゅ', sho: 'しょ', sya: 'しゃ', syu: 'しゅ', syo: 'しょ',
+    ja: 'じゃ', ju: 'じゅ', jo: 'じょ', jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ',
+    zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ',
+    cha: 'ちゃ', chu: 'ちゅ', cho: 'ちょ', tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+    nya: 'にゃ', nyu: 'にゅ', nyo: 'にょ',
+    hya: 'ひゃ', hyu: 'ひゅ', hyo: 'ひょ',
+    bya: 'びゃ', byu: 'びゅ', byo: 'びょ',
+    pya: 'ぴゃ', pyu: 'ぴゅ', pyo: 'ぴょ',
+    mya: 'みゃ', myu: 'みゅ', myo: 'みょ',
+    rya: 'りゃ', ryu: 'りゅ', ryo: 'りょ',
+    fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ',
+    va: 'ゔぁ', vi: 'ゔぃ', vu: 'ゔ', ve: 'ゔぇ', vo: 'ゔぉ',
+    she: 'しぇ', je: 'じぇ', che: 'ちぇ',
+    thi: 'てぃ', dhi: 'でぃ', twu: 'とぅ', dwu: 'どぅ'
+};
+
+// Long vowels written with macrons or circumflexes in Hepburn romaji
+const MACRON_VOWELS = {
+    ā: 'aa', ī: 'ii', ū: 'uu', ē: 'ei', ō: 'ou',
+    â: 'aa', î: 'ii', û: 'uu', ê: 'ei', ô: 'ou'
+};
+
+// Vowel of each hiragana, and the kana that lengthen it ("そう", "そお" and "そー" are all a long o)
+const KANA_VOWELS = {
+    a: 'あかさたなはまやらわがざだばぱぁゃゎ',
+    i: 'いきしちにひみりぎじぢびぴぃ',
+    u: 'うくすつぬふむゆるぐずづぶぷぅゅゔ',
+    e: 'えけせてねへめれげぜでべぺぇ',
+    o: 'おこそとのほもよろをごぞどぼぽぉょ'
+};
+const LONG_VOWEL_KANA = {
+    a: 'あー', i: 'いー', u: 'うー', e: 'いえー', o: 'うおー'
+};
+
+/**
+ * Convert katakana to hiragana
+ * @param {string} text - Text containing katakana
+ * @returns {string} Text with katakana replaced by hiragana
+ */
+function katakanaToHiragana(text) {
+    return text.replace(/[ァ-ヶ]/g, ch =>
+        String.fromCharCode(ch.charCodeAt(0) - 0x60)
+    );
+}
+
+/**
+ * Convert romaji to hiragana, leaving unknown characters as they are
+ * @param {string} text - Lowercase romaji text
+ * @returns {string} Hiragana text
+ */
+function romajiToHiragana(text) {
+    const isVowel = ch => 'aiueo'.includes(ch);
+    let result = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        const next = text[i + 1];
+
+        // Doubled consonant (e.g. "kk", or Hepburn "tch") becomes a small tsu
+        if ((ch === next && /[bcdfghjkmpqrstvwxyz]/.test(ch)) || text.substr(i, 3) === 'tch') {
+            result += 'っ';
+            i += 1;
+            continue;
+        }
+
+        // Syllabic n: "n'", or "n" not followed by a vowel or "y"
+        if (ch === 'n') {
+            if (next === "'") {
+                result += 'ん';
+                i += 2;
+                continue;
+            }
+            if (next === undefined || (!isVowel(next) && next !== 'y')) {
+                result += 'ん';
+                i += 1;
+                continue;
+            }
+        }
+
+        let matched = false;
+        for (let length = 3; length > 0; length--) {
+            const kana = ROMAJI_TABLE[text.substr(i, length)];
+            if (kana) {
+                result += kana;
+                i += length;
+                matched = true;
+                break;
+            }
+        }
+
+        if (!matched) {
+            result += ch;
+            i += 1;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Shorten long vowels in hiragana text, so that every spelling of a long
+ * vowel ("とう", "とお", "とー") becomes the short vowel ("と")
+ * @param {string} text - Hiragana text
+ * @returns {string} Text without long vowels
+ */
+function shortenLongVowels(text) {
+    const vowelOf = ch => Object.keys(KANA_VOWELS).find(vowel => KANA_VOWELS[vowel].includes(ch));
+    let result = '';
+    let vowel;
+
+    for (const ch of text) {
+        if (vowel && LONG_VOWEL_KANA[vowel].includes(ch)) continue;
+        result += ch;
+        vowel = vowelOf(ch);
+    }
+    return result;
+}
+
+/**
+ * Normalize a free-text answer for comparison.
+ * Width, case, katakana/hiragana and romaji differences are ignored,
+ * as are spaces, punctuation and how long vowels are written: "ソータイ",
+ * "そうたい", "soutai", "sōtai" and "sotai" are the same answer.
+ * @param {string} text - Answer text
+ * @returns {string} Normalized text
+ */
+function normalizeAnswerText(text) {
+    let normalized = String(text).normalize('NFKC').toLowerCase().trim();
+    normalized = normalized.replace(/[āīūēōâîûêô]/g, ch => MACRON_VOWELS[ch]);
+    normalized = katakanaToHiragana(normalized);
+    normalized = romajiToHiragana(normalized.replace(/\s+/g, ''));
+    normalized = shortenLongVowels(normalized);
+    return normalized.replace(/[\s・、。,.\-ー〜~'"「」『』!?()（）]/g, '');
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Show element with animation
  * @param {HTMLElement} element - Element to show
@@ -123,7 +445,46 @@ async function addTemporaryClass(element, className, duration = 1000) {
  * @param {HTMLElement} element - Target element
  */
 function scrollToElement(element) {
-    element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    element.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+}
+
+/**
+ * Check if animations should be reduced, by the device or the user setting
+ * @returns {boolean} True if motion should be reduced
+ */
+function prefersReducedMotion() {
+    return document.documentElement.classList.contains('reduced-motion') ||
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Read a message out to screen readers through the live region
+ * @param {string} message - Message to announce
+ */
+function announce(message) {
+    const region = document.getElementById('live-region');
+    // Clear first so that the same message is announced again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
+
+/**
+ * Download text as a file
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
 }
 
 /**
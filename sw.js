@@ -0,0 +1,230 @@
+// ===================================
+// Service Worker (Offline Support)
+// ===================================
+
+/*
+ * Two kinds of caches are kept:
+ *   gfa-shell-<SHELL_VERSION>  HTML, CSS, JS, icons, the world map and the
+ *                              translation catalogs. Raise SHELL_VERSION
+ *                              whenever these files change or are added.
+ *   gfa-data-<hash>            data/*.json, the content packs listed in
+ *                              data/packs/manifest.json and portraits. The hash
+ *                              is taken from the JSON contents, so changing
+ *                              figures.json, questions.json or a pack creates
+ *                              a new cache by itself.
+ * Everything is served from the caches first so the app works offline.
+ */
+
+const SHELL_VERSION = 11;
+const CACHE_PREFIX = 'gfa-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${SHELL_VERSION}`;
+const DATA_CACHE_PREFIX = `${CACHE_PREFIX}data-`;
+const BUILDING_SUFFIX = '-building';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'css/components.css',
+    'css/animations.css',
+    'js/utils.js',
+    'js/i18n.js',
+    'js/modals.js',
+    'js/charts.js',
+    'js/user-data-schema.js',
+    'js/storage-adapters.js',
+    'js/storage.js',
+    'js/profiles.js',
+    'js/gamification.js',
+    'js/question-types.js',
+    'js/question-generator.js',
+    'js/review.js',
+    'js/daily.js',
+    'js/adaptive.js',
+    'js/relations.js',
+    'js/content-validator.js',
+    'js/content-packs.js',
+    'js/content-editor.js',
+    'js/quiz.js',
+    'js/router.js',
+    'js/app.js',
+    'images/icons/icon-192.png',
+    'images/icons/icon-512.png',
+    'images/world-map.svg',
+    'locales/en.json'
+];
+
+const DATA_FILES = [
+    'data/figures.json',
+    'data/questions.json',
+    'data/badges.json',
+    'data/packs/manifest.json'
+];
+
+const PACK_MANIFEST = 'data/packs/manifest.json';
+
+const PLACEHOLDER_PORTRAIT = 'images/portraits/placeholder.png';
+
+/**
+ * Hash text with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} First 16 hex characters of the hash
+ */
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)]
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('')
+        .slice(0, 16);
+}
+
+/**
+ * Fetch a file from the network as text
+ * @param {string} file - File path
+ * @returns {Promise<string>} File contents
+ */
+async function fetchText(file) {
+    const response = await fetch(file, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`${file}: ${response.status}`);
+    }
+    return response.text();
+}
+
+/**
+ * Fetch the data files from the network, followed by the content packs
+ * listed in the pack manifest
+ * @returns {Promise<Object>} { files, contents } in the same order
+ */
+async function fetchDataFiles() {
+    const contents = await Promise.all(DATA_FILES.map(fetchText));
+    const manifest = JSON.parse(contents[DATA_FILES.indexOf(PACK_MANIFEST)]);
+    const packFiles = (manifest.packs || []).map(pack => pack.file);
+    const packContents = await Promise.all(packFiles.map(fetchText));
+
+    return {
+        files: [...DATA_FILES, ...packFiles],
+        contents: [...contents, ...packContents]
+    };
+}
+
+/**
+ * Get the name of the data cache in use
+ * @returns {Promise<string|null>} Cache name
+ */
+async function getDataCacheName() {
+    const names = await caches.keys();
+    return names.find(name => name.startsWith(DATA_CACHE_PREFIX) && !name.endsWith(BUILDING_SUFFIX)) || null;
+}
+
+/**
+ * Build the data cache for the current data files unless it already exists.
+ * Portraits that cannot be fetched are skipped; the app shows the
+ * placeholder for them.
+ * @returns {Promise<boolean>} True if a new data cache was created
+ */
+async function updateDataCache() {
+    const { files, contents } = await fetchDataFiles();
+    const cacheName = DATA_CACHE_PREFIX + await hashText(contents.join('\n'));
+    if (await caches.has(cacheName)) return false;
+
+    // Build under a temporary name so a half-built cache is never used
+    const buildingName = cacheName + BUILDING_SUFFIX;
+    const cache = await caches.open(buildingName);
+    await Promise.all(files.map((file, index) =>
+        cache.put(file, new Response(contents[index], {
+            headers: { 'Content-Type': 'application/json' }
+        }))
+    ));
+
+    // Built-in and pack figures alike
+    const figures = contents.flatMap(text => JSON.parse(text).figures || []);
+    const portraits = [...new Set([PLACEHOLDER_PORTRAIT, ...figures.map(figure => figure.portrait).filter(Boolean)])];
+    await Promise.all(portraits.map(async portrait => {
+        try {
+            const response = await fetch(portrait, { cache: 'no-store' });
+            if (response.ok) {
+                await cache.put(portrait, response);
+            }
+        } catch (error) {
+            console.warn(`Portrait not cached: ${portrait}`, error);
+        }
+    }));
+
+    // Copy into the final cache and drop the previous data caches
+    const finalCache = await caches.open(cacheName);
+    const requests = await cache.keys();
+    await Promise.all(requests.map(async request => {
+        await finalCache.put(request, await cache.match(request));
+    }));
+    await caches.delete(buildingName);
+
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(DATA_CACHE_PREFIX) && name !== cacheName)
+        .map(name => caches.delete(name)));
+
+    return true;
+}
+
+/**
+ * Check the network for changed data and tell open pages when it changed.
+ * Does nothing when offline.
+ * @returns {Promise<void>}
+ */
+async function refreshData() {
+    const hadData = (await getDataCacheName()) !== null;
+    try {
+        const updated = await updateDataCache();
+        if (updated && hadData) {
+            const clients = await self.clients.matchAll({ type: 'window' });
+            clients.forEach(client => client.postMessage({ type: 'data-updated' }));
+        }
+    } catch (error) {
+        // Offline or data unavailable; keep using the cached data
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        await updateDataCache();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) &&
+                name !== SHELL_CACHE && !name.startsWith(DATA_CACHE_PREFIX))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Every page load is a chance to pick up changed data for the next one
+    if (request.mode === 'navigate') {
+        event.waitUntil(refreshData());
+        event.respondWith((async () => {
+            const cached = await caches.match('index.html');
+            return cached || fetch(request);
+        })());
+        return;
+    }
+
+    event.respondWith((async () => {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        return cached || fetch(request);
+    })());
+});
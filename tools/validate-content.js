@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+// ===================================
+// Content Validator (Command Line)
+// ===================================
+
+/*
+ * Checks data/figures.json, data/questions.json, data/badges.json and the
+ * content packs in data/packs/manifest.json with the same checks the app
+ * runs when it loads them (js/content-validator.js), and prints a report.
+ *
+ *   node tools/validate-content.js                  built-in data and packs
+ *   node tools/validate-content.js my-pack.json     also check pack files
+ *   node tools/validate-content.js --lang en        report in English
+ *
+ * Exits with 1 if the app would set any entry aside, and with 2 if the
+ * arguments are wrong.
+ * Needs Node.js 16 or later; nothing has to be installed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// App scripts the validator needs, in index.html order
+const SCRIPTS = [
+    'js/utils.js',
+    'js/i18n.js',
+    'js/user-data-schema.js',
+    'js/question-types.js',
+    'js/relations.js',
+    'js/content-validator.js',
+    'js/content-packs.js'
+];
+
+const DATA_FILES = {
+    figures: 'data/figures.json',
+    questions: 'data/questions.json',
+    badges: 'data/badges.json'
+};
+
+const PACK_MANIFEST = 'data/packs/manifest.json';
+
+const USAGE = 'Usage: node tools/validate-content.js [--lang <language>] [pack.json ...]';
+
+/**
+ * Load the app scripts into a sandbox. They are browser scripts, but the
+ * ones listed only touch `window` while loading.
+ * @returns {Object} Sandbox with the app's globals
+ */
+function loadApp() {
+    const sandbox = vm.createContext({ console, window: {} });
+    SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+        // utils.js turns debug logging on
+        sandbox.window.DEBUG_MODE = false;
+    });
+
+    return vm.runInContext('({ i18n, contentValidator, contentPacks, LANGUAGES, DEFAULT_LANGUAGE })', sandbox);
+}
+
+/**
+ * Switch the report to another language
+ * @param {Object} app - App globals
+ * @param {string} language - Language code from LANGUAGES
+ */
+function setLanguage(app, language) {
+    if (language !== app.DEFAULT_LANGUAGE) {
+        app.i18n.language = language;
+        app.i18n.messages = readJson(`locales/${language}.json`).messages;
+    }
+}
+
+/**
+ * Read a JSON file
+ * @param {string} file - Path from the app root, or absolute
+ * @returns {*} Parsed contents
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(ROOT, file), 'utf8'));
+}
+
+/**
+ * Read the built-in data and the content packs, keeping track of the file
+ * each entry comes from
+ * @param {Object} app - App globals
+ * @param {Array<string>} packFiles - Extra pack files given on the command line
+ * @returns {Object} { content, files, errors }; files maps a pack ID (or
+ *     the built-in kind) to its file, errors lists files that cannot be used
+ */
+function readContent(app, packFiles) {
+    const content = { figures: [], questions: [], badges: [] };
+    const files = {};
+    const errors = [];
+    const t = app.i18n.translate.bind(app.i18n);
+
+    Object.entries(DATA_FILES).forEach(([field, file]) => {
+        try {
+            content[field] = readJson(file)[field];
+            files[field] = file;
+        } catch (error) {
+            errors.push({ file, message: error.message });
+        }
+    });
+
+    let manifestFiles = [];
+    try {
+        manifestFiles = readJson(PACK_MANIFEST).packs.map(pack => pack.file);
+    } catch (error) {
+        errors.push({ file: PACK_MANIFEST, message: error.message });
+    }
+
+    [...manifestFiles, ...packFiles].forEach(file => {
+        let pack;
+        try {
+            pack = readJson(file);
+        } catch (error) {
+            errors.push({ file, message: t('JSONとして読み込めません（{error}）。', { error: error.message }) });
+            return;
+        }
+
+        const packErrors = app.contentPacks.validate(pack);
+        if (packErrors.length > 0) {
+            packErrors.forEach(message => errors.push({ file, message }));
+            return;
+        }
+        if (files[pack.id]) {
+            errors.push({ file, message: t('パックID「{id}」は「{file}」でも使われています。', { id: pack.id, file: files[pack.id] }) });
+            return;
+        }
+
+        const namespaced = app.contentPacks.namespace(pack, pack.id);
+        content.figures.push(...namespaced.figures);
+        content.questions.push(...namespaced.questions);
+        files[pack.id] = file;
+    });
+
+    return { content, files, errors };
+}
+
+/**
+ * Print the report and return the exit code
+ * @param {Object} app - App globals
+ * @param {Object} read - Result of readContent()
+ * @param {Object} result - Result of contentValidator.validate()
+ * @returns {number} 0 if every entry can be used, 1 otherwise
+ */
+function printReport(app, read, result) {
+    const t = app.i18n.translate.bind(app.i18n);
+    const byFile = {};
+    Object.values(read.files).forEach(file => {
+        byFile[file] = [];
+    });
+
+    read.errors.forEach(({ file, message }) => {
+        (byFile[file] = byFile[file] || []).push(`  ✗ ${message}`);
+    });
+    result.issues.forEach(issue => {
+        const file = read.files[issue.pack || `${issue.kind}s`];
+        const mark = issue.level === 'error' ? '✗' : '!';
+        byFile[file].push(`  ${mark} ${app.contentValidator.formatIssue(issue)}`);
+    });
+
+    Object.entries(byFile).forEach(([file, lines]) => {
+        console.log(file);
+        console.log(lines.length > 0 ? lines.join('\n') : `  ✓ ${t('問題ありません')}`);
+    });
+
+    const errorCount = read.errors.length + result.issues.filter(issue => issue.level === 'error').length;
+    const warningCount = result.issues.filter(issue => issue.level === 'warning').length;
+    console.log('');
+    console.log(t('偉人{figures}人・問題{questions}問・バッジ{badges}個を確認：エラー{errors}件・警告{warnings}件', {
+        figures: read.content.figures.length,
+        questions: read.content.questions.length,
+        badges: read.content.badges.length,
+        errors: errorCount,
+        warnings: warningCount
+    }));
+    if (errorCount > 0) {
+        console.log(t('エラーのあるデータは、アプリでは使われません。'));
+    }
+
+    return errorCount > 0 ? 1 : 0;
+}
+
+/**
+ * Run the command
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Exit code; 2 if the arguments are wrong
+ */
+function main(args) {
+    let language = 'ja';
+    const packFiles = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--lang') {
+            language = args[++i];
+        } else {
+            packFiles.push(path.resolve(args[i]));
+        }
+    }
+
+    const app = loadApp();
+    if (!Object.prototype.hasOwnProperty.call(app.LANGUAGES, language)) {
+        console.error(USAGE);
+        console.error(`Languages: ${Object.keys(app.LANGUAGES).join(', ')}`);
+        return 2;
+    }
+    setLanguage(app, language);
+
+    const read = readContent(app, packFiles);
+    const result = app.contentValidator.validate(read.content);
+    return printReport(app, read, result);
+}
+
+process.exitCode = main(process.argv.slice(2));